@@ -0,0 +1,618 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Write a file by renaming a temporary copy into place, so readers never see a partial file
+ * @param {string} filePath - File to replace
+ * @param {Object} value - Value, written as JSON
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomically(filePath, value) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    const temporary = `${filePath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    await fs.writeFile(temporary, `${JSON.stringify(value, null, 2)}\n`, { mode: 0o600, flag: 'wx' });
+    try {
+        await fs.rename(temporary, filePath);
+    } catch (error) {
+        await fs.unlink(temporary).catch(() => {});
+        throw error;
+    }
+}
+
+/**
+ * Keeps the API key registry in a JSON file
+ * Used by scripts/generate-api-key.js, and by deployments with a persistent disk. Last-used
+ * times go to a separate file next to it (api-keys.usage.json for api-keys.json), so requests
+ * never rewrite the registry and cannot undo a revocation or rotation made in the meantime.
+ */
+class FileApiKeyStore {
+    /**
+     * @param {string} filePath - Registry file; created on first write
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.usagePath = `${filePath.replace(/\.json$/, '')}.usage.json`;
+    }
+
+    /**
+     * Read the registry
+     * @returns {Promise<Object>} Registry, empty when the file does not exist yet
+     */
+    async load() {
+        let contents;
+        try {
+            contents = await fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return ApiKeyRegistry.emptyRegistry();
+            }
+            throw error;
+        }
+        return ApiKeyRegistry.parseRegistry(contents, this.filePath);
+    }
+
+    /**
+     * Replace the registry
+     * @param {Object} registry - Registry
+     * @returns {Promise<void>}
+     */
+    async save(registry) {
+        await writeJsonAtomically(this.filePath, registry);
+    }
+
+    /**
+     * Read the last-used times
+     * @returns {Promise<Object>} Last-used time by key ID; empty when unreadable
+     */
+    async loadUsage() {
+        try {
+            const usage = JSON.parse(await fs.readFile(this.usagePath, 'utf8'));
+            return usage && typeof usage === 'object' && !Array.isArray(usage) ? usage : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Record when a key was used
+     * Concurrent requests can overwrite each other's times; that only loses a last-used time.
+     * @param {string} keyId - Key ID
+     * @param {string} usedAt - ISO time
+     * @returns {Promise<void>}
+     */
+    async recordUse(keyId, usedAt) {
+        const usage = await this.loadUsage();
+        usage[keyId] = usedAt;
+        await writeJsonAtomically(this.usagePath, usage);
+    }
+}
+
+/**
+ * Holds the registry given in the PQLS_API_KEYS environment variable
+ * Environment variables cannot be written, so last-used times are kept for the life of the
+ * function instance only
+ */
+class EnvironmentApiKeyStore {
+    /**
+     * @param {string} json - Registry JSON
+     */
+    constructor(json) {
+        this.registry = ApiKeyRegistry.parseRegistry(json, 'PQLS_API_KEYS');
+        this.usage = {};
+    }
+
+    /**
+     * @returns {Promise<Object>} Registry
+     */
+    async load() {
+        return this.registry;
+    }
+
+    /**
+     * @param {Object} registry - Registry, kept in memory
+     * @returns {Promise<void>}
+     */
+    async save(registry) {
+        this.registry = registry;
+    }
+
+    /**
+     * @returns {Promise<Object>} Last-used time by key ID
+     */
+    async loadUsage() {
+        return { ...this.usage };
+    }
+
+    /**
+     * @param {string} keyId - Key ID
+     * @param {string} usedAt - ISO time
+     * @returns {Promise<void>}
+     */
+    async recordUse(keyId, usedAt) {
+        this.usage[keyId] = usedAt;
+    }
+}
+
+// One store per registry, so last-used times survive between requests to an instance
+const environmentStores = new Map();
+
+/**
+ * Registry of API keys
+ * Only a SHA-256 hash of each key's secret is stored, next to its name, scopes, expiry and
+ * last-used time. Keys are presented as `pqls_<key ID>_<secret>` bearer tokens, or sign
+ * requests with a signing secret derived from the token. The signing secret is kept wrapped
+ * under the PQLS_API_KEYS_MASTER_KEY master key, so the registry file alone cannot sign. A key
+ * that is rotated stays valid for an overlap period, so clients can move to the new key
+ * without downtime.
+ */
+class ApiKeyRegistry {
+    static ERROR_CODES = {
+        REGISTRY_INVALID: 'API_KEY_REGISTRY_INVALID',
+        INVALID_INPUT: 'API_KEY_INVALID_INPUT',
+        KEY_NOT_FOUND: 'API_KEY_NOT_FOUND',
+        KEY_EXPIRED: 'API_KEY_EXPIRED',
+        KEY_REVOKED: 'API_KEY_REVOKED',
+        SIGNATURE_INVALID: 'API_KEY_SIGNATURE_INVALID'
+    };
+
+    static REGISTRY_VERSION = 'pqls-keys-v1';
+
+    // `admin` holds every scope
+    static SCOPES = ['encrypt', 'decrypt', 'keys', 'sign', 'verify', 'search', 'monitor', 'admin'];
+
+    static ADMIN_SCOPE = 'admin';
+
+    static TOKEN_PREFIX = 'pqls';
+
+    static SECRET_LENGTH = 32;
+
+    static DEFAULT_ROTATION_OVERLAP_SECONDS = 7 * 24 * 60 * 60;
+
+    // Last-used times are only written back when they move by more than this
+    static LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+    static MAX_NAME_LENGTH = 128;
+
+    static MIN_MASTER_KEY_LENGTH = 32;
+
+    // HMAC label turning a token secret into its request-signing secret
+    static SIGNING_LABEL = 'PQLS-REQUEST-SIGNING';
+
+    /**
+     * @param {Object} options - Registry backend
+     * @param {Object} options.store - Store with load(), save(registry), loadUsage() and recordUse(keyId, usedAt)
+     * @param {Buffer} [options.masterKey] - Master key wrapping signing secrets; without it new
+     *     keys are bearer-only and signatures from registry keys cannot be checked
+     */
+    constructor({ store, masterKey }) {
+        this.store = store;
+        this.wrappingKey = null;
+        if (masterKey) {
+            if (!Buffer.isBuffer(masterKey) || masterKey.length < ApiKeyRegistry.MIN_MASTER_KEY_LENGTH) {
+                const error = new Error(`The API key master key must be at least ${ApiKeyRegistry.MIN_MASTER_KEY_LENGTH} bytes`);
+                error.code = ApiKeyRegistry.ERROR_CODES.REGISTRY_INVALID;
+                throw error;
+            }
+            this.wrappingKey = Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), 'PQLS-API-KEYS-KEK', 32));
+            this.kek = `local:${crypto.createHmac('sha256', masterKey).update('PQLS-API-KEYS-KEK-ID').digest('hex').slice(0, 16)}`;
+        }
+    }
+
+    /**
+     * Open the registry configured in the environment
+     * PQLS_API_KEYS_FILE names a registry file; otherwise PQLS_API_KEYS holds the registry JSON.
+     * PQLS_API_KEYS_MASTER_KEY (base64) unwraps the keys' signing secrets.
+     * @param {Object} [env] - Environment variables
+     * @returns {ApiKeyRegistry|null} Registry, or null when none is configured
+     */
+    static fromEnvironment(env = process.env) {
+        const masterKey = ApiKeyRegistry.masterKeyFromEnvironment(env);
+        if (env.PQLS_API_KEYS_FILE) {
+            return new ApiKeyRegistry({ store: new FileApiKeyStore(env.PQLS_API_KEYS_FILE), masterKey });
+        }
+        if (!env.PQLS_API_KEYS) {
+            return null;
+        }
+
+        let store = environmentStores.get(env.PQLS_API_KEYS);
+        if (!store) {
+            store = new EnvironmentApiKeyStore(env.PQLS_API_KEYS);
+            environmentStores.set(env.PQLS_API_KEYS, store);
+        }
+        return new ApiKeyRegistry({ store, masterKey });
+    }
+
+    /**
+     * Read the master key for signing secrets
+     * @param {Object} [env] - Environment variables
+     * @returns {Buffer|null} Master key, or null when PQLS_API_KEYS_MASTER_KEY is not set
+     */
+    static masterKeyFromEnvironment(env = process.env) {
+        return env.PQLS_API_KEYS_MASTER_KEY ? Buffer.from(env.PQLS_API_KEYS_MASTER_KEY, 'base64') : null;
+    }
+
+    /**
+     * @returns {Object} Registry without keys
+     */
+    static emptyRegistry() {
+        return { version: ApiKeyRegistry.REGISTRY_VERSION, keys: [] };
+    }
+
+    /**
+     * Parse and check a registry
+     * @param {string} json - Registry JSON
+     * @param {string} source - Where the registry came from, for error messages
+     * @returns {Object} Registry
+     */
+    static parseRegistry(json, source) {
+        let registry;
+        try {
+            registry = JSON.parse(json);
+        } catch (parseError) {
+            registry = null;
+        }
+
+        if (!registry || registry.version !== ApiKeyRegistry.REGISTRY_VERSION || !Array.isArray(registry.keys)) {
+            const error = new Error(`${source} is not a ${ApiKeyRegistry.REGISTRY_VERSION} API key registry`);
+            error.code = ApiKeyRegistry.ERROR_CODES.REGISTRY_INVALID;
+            throw error;
+        }
+        return registry;
+    }
+
+    /**
+     * Split a token into its key ID and secret
+     * @param {string} token - Presented token
+     * @returns {Object|null} Key ID and secret, or null when the token is not a registry key
+     */
+    static parseToken(token) {
+        const match = typeof token === 'string' && /^pqls_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/.exec(token);
+        return match ? { keyId: match[1], secret: match[2] } : null;
+    }
+
+    /**
+     * Request-signing secret of a key
+     * Derived one way from the token secret, so a leaked signing secret is not a bearer token
+     * @param {string} secret - Key secret, the last part of the token
+     * @returns {string} Hex signing secret
+     */
+    static deriveSigningSecret(secret) {
+        return crypto.createHmac('sha256', secret).update(ApiKeyRegistry.SIGNING_LABEL).digest('hex');
+    }
+
+    /**
+     * Key ID and signing secret a client signs requests with, for RequestAuth.signRequest()
+     * @param {string} token - Registry token
+     * @returns {Object|null} Key ID and secret, or null when the token is not a registry key
+     */
+    static signingCredentials(token) {
+        const parsed = ApiKeyRegistry.parseToken(token);
+        return parsed ? { keyId: parsed.keyId, secret: ApiKeyRegistry.deriveSigningSecret(parsed.secret) } : null;
+    }
+
+    /**
+     * Hash a key secret for storage
+     * Secrets are 32 random bytes, so a fast hash is enough; there is nothing to brute-force
+     * @param {string} secret - Key secret
+     * @returns {string} Hex SHA-256
+     */
+    static hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret, 'utf8').digest('hex');
+    }
+
+    /**
+     * State of a key at a point in time
+     * @param {Object} record - Key record
+     * @param {number} [now] - Time in milliseconds
+     * @returns {string} active, expired or revoked
+     */
+    static getStatus(record, now = Date.now()) {
+        if (record.revokedAt) {
+            return 'revoked';
+        }
+        if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+            return 'expired';
+        }
+        return 'active';
+    }
+
+    /**
+     * Public view of a record
+     * @param {Object} record - Key record
+     * @param {Object} [usage] - Last-used times by key ID
+     * @returns {Object} Record without the secret hash, and its status
+     */
+    static describe(record, usage = {}) {
+        return {
+            keyId: record.keyId,
+            name: record.name,
+            scopes: record.scopes,
+            status: ApiKeyRegistry.getStatus(record),
+            createdAt: record.createdAt,
+            expiresAt: record.expiresAt || null,
+            lastUsedAt: usage[record.keyId] || record.lastUsedAt || null,
+            revokedAt: record.revokedAt || null,
+            rotatedFrom: record.rotatedFrom || null,
+            signing: Boolean(record.signingKey)
+        };
+    }
+
+    /**
+     * Create a key
+     * @param {Object} options - Key settings
+     * @param {string} options.name - Name of the client holding the key
+     * @param {Array<string>} options.scopes - Scopes, from ApiKeyRegistry.SCOPES
+     * @param {Date|string} [options.expiresAt] - Expiry; keys without one do not expire
+     * @returns {Promise<Object>} The token, shown only here, and the key description
+     */
+    async createKey({ name, scopes, expiresAt }) {
+        const registry = await this.store.load();
+        const { token, record } = ApiKeyRegistry.buildRecord({ name, scopes, expiresAt });
+        this.wrapSigningSecret(token, record);
+        registry.keys.push(record);
+        await this.store.save(registry);
+        return { token, key: ApiKeyRegistry.describe(record) };
+    }
+
+    /**
+     * List every key, including expired and revoked ones
+     * @returns {Promise<Array<Object>>} Key descriptions
+     */
+    async listKeys() {
+        const [registry, usage] = await Promise.all([this.store.load(), this.store.loadUsage()]);
+        return registry.keys.map(record => ApiKeyRegistry.describe(record, usage));
+    }
+
+    /**
+     * Replace a key with a new one holding the same name and scopes
+     * The old key stays valid for the overlap period, so both work during the rollover.
+     * @param {string} keyId - Key to rotate
+     * @param {Object} [options] - Rotation settings
+     * @param {number} [options.overlapSeconds] - How long the old key stays valid
+     * @param {Date|string} [options.expiresAt] - Expiry of the new key
+     * @returns {Promise<Object>} The new token, the new key and the old key
+     */
+    async rotateKey(keyId, { overlapSeconds = ApiKeyRegistry.DEFAULT_ROTATION_OVERLAP_SECONDS, expiresAt } = {}) {
+        if (!Number.isInteger(overlapSeconds) || overlapSeconds < 0) {
+            throw ApiKeyRegistry.inputError('The rotation overlap must be a whole number of seconds');
+        }
+
+        const registry = await this.store.load();
+        const previous = ApiKeyRegistry.findRecord(registry, keyId);
+        if (ApiKeyRegistry.getStatus(previous) !== 'active') {
+            throw ApiKeyRegistry.inputError(`Key ${keyId} is ${ApiKeyRegistry.getStatus(previous)} and cannot be rotated`);
+        }
+
+        const { token, record } = ApiKeyRegistry.buildRecord({ name: previous.name, scopes: previous.scopes, expiresAt });
+        record.rotatedFrom = previous.keyId;
+        this.wrapSigningSecret(token, record);
+
+        // Rotation only ever shortens the old key's life
+        const overlapEnd = Date.now() + overlapSeconds * 1000;
+        if (!previous.expiresAt || Date.parse(previous.expiresAt) > overlapEnd) {
+            previous.expiresAt = new Date(overlapEnd).toISOString();
+        }
+
+        registry.keys.push(record);
+        await this.store.save(registry);
+        return { token, key: ApiKeyRegistry.describe(record), previous: ApiKeyRegistry.describe(previous) };
+    }
+
+    /**
+     * Revoke a key immediately
+     * @param {string} keyId - Key to revoke
+     * @returns {Promise<Object>} Key description
+     */
+    async revokeKey(keyId) {
+        const registry = await this.store.load();
+        const record = ApiKeyRegistry.findRecord(registry, keyId);
+        if (!record.revokedAt) {
+            record.revokedAt = new Date().toISOString();
+            await this.store.save(registry);
+        }
+        return ApiKeyRegistry.describe(record);
+    }
+
+    /**
+     * Check a presented token and record its use
+     * @param {string} token - Token from the Authorization header
+     * @returns {Promise<Object>} Key ID, name and scopes
+     * @throws {Error} KEY_NOT_FOUND for unknown keys and wrong secrets, KEY_EXPIRED or KEY_REVOKED
+     */
+    async authenticate(token) {
+        const parsed = ApiKeyRegistry.parseToken(token);
+        const registry = await this.store.load();
+        const record = parsed && registry.keys.find(entry => entry.keyId === parsed.keyId);
+
+        const presented = Buffer.from(ApiKeyRegistry.hashSecret(parsed ? parsed.secret : ''), 'hex');
+        const stored = Buffer.from(record ? record.hash : '', 'hex');
+        if (!record || stored.length !== presented.length || !crypto.timingSafeEqual(stored, presented)) {
+            const error = new Error('API key is not valid');
+            error.code = ApiKeyRegistry.ERROR_CODES.KEY_NOT_FOUND;
+            throw error;
+        }
+
+        await this.admit(record);
+        return { keyId: record.keyId, name: record.name, scopes: record.scopes };
+    }
+
+    /**
+     * Check a request signature made with a key's signing secret and record its use
+     * @param {string} keyId - Key ID from the request
+     * @param {string} canonical - Canonical request, see RequestAuth.canonicalRequest()
+     * @param {string} signature - Hex signature from the request
+     * @returns {Promise<Object>} Key ID, name and scopes
+     * @throws {Error} KEY_NOT_FOUND for unknown or bearer-only keys, SIGNATURE_INVALID,
+     *     KEY_EXPIRED, KEY_REVOKED, or REGISTRY_INVALID when no master key is configured
+     */
+    async authenticateSignature(keyId, canonical, signature) {
+        const registry = await this.store.load();
+        const record = registry.keys.find(entry => entry.keyId === keyId);
+        if (!record) {
+            const error = new Error(`Unknown key ID: ${keyId}`);
+            error.code = ApiKeyRegistry.ERROR_CODES.KEY_NOT_FOUND;
+            throw error;
+        }
+        if (!record.signingKey) {
+            const error = new Error(`API key ${keyId} has no signing secret; send it as a bearer token, or rotate it with PQLS_API_KEYS_MASTER_KEY set`);
+            error.code = ApiKeyRegistry.ERROR_CODES.KEY_NOT_FOUND;
+            throw error;
+        }
+
+        const expected = crypto.createHmac('sha256', this.unwrapSigningSecret(record)).update(canonical).digest();
+        if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+            const error = new Error('Request signature does not match');
+            error.code = ApiKeyRegistry.ERROR_CODES.SIGNATURE_INVALID;
+            throw error;
+        }
+
+        await this.admit(record);
+        return { keyId: record.keyId, name: record.name, scopes: record.scopes };
+    }
+
+    /**
+     * Refuse expired and revoked keys, and record the use of the others
+     * @param {Object} record - Key record whose secret has been checked
+     * @returns {Promise<void>}
+     */
+    async admit(record) {
+        const status = ApiKeyRegistry.getStatus(record);
+        if (status !== 'active') {
+            const error = new Error(`API key ${record.keyId} is ${status}`);
+            error.code = status === 'revoked' ? ApiKeyRegistry.ERROR_CODES.KEY_REVOKED : ApiKeyRegistry.ERROR_CODES.KEY_EXPIRED;
+            throw error;
+        }
+
+        // Only the usage store is written here; the registry itself changes through the CLI alone
+        const now = Date.now();
+        const lastUsedAt = (await this.store.loadUsage())[record.keyId] || record.lastUsedAt;
+        if (!lastUsedAt || now - Date.parse(lastUsedAt) > ApiKeyRegistry.LAST_USED_RESOLUTION_MS) {
+            // A read-only disk must not turn away a valid key
+            await this.store.recordUse(record.keyId, new Date(now).toISOString()).catch(error => {
+                console.error('Could not record API key use:', error.message);
+            });
+        }
+    }
+
+    /**
+     * Store a new key's signing secret wrapped under the master key
+     * Without a master key the record is left without one, and the key is bearer-only.
+     * @param {string} token - New token
+     * @param {Object} record - New record, updated in place
+     */
+    wrapSigningSecret(token, record) {
+        if (!this.wrappingKey) {
+            return;
+        }
+
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.wrappingKey, iv);
+        cipher.setAAD(Buffer.from(`PQLS-API-KEY:${record.keyId}`, 'utf8'));
+        const signingSecret = ApiKeyRegistry.signingCredentials(token).secret;
+        const ciphertext = Buffer.concat([cipher.update(signingSecret, 'utf8'), cipher.final()]);
+
+        record.signingKey = {
+            kek: this.kek,
+            ciphertext: ciphertext.toString('base64'),
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64')
+        };
+    }
+
+    /**
+     * @param {Object} record - Key record with a wrapped signing secret
+     * @returns {string} Signing secret
+     * @throws {Error} REGISTRY_INVALID when the master key is missing or not the one it was wrapped under
+     */
+    unwrapSigningSecret(record) {
+        const wrapped = record.signingKey;
+        if (!this.wrappingKey || wrapped.kek !== this.kek) {
+            const error = new Error(`Signing secrets were wrapped under ${wrapped.kek}; set PQLS_API_KEYS_MASTER_KEY to that master key`);
+            error.code = ApiKeyRegistry.ERROR_CODES.REGISTRY_INVALID;
+            throw error;
+        }
+
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', this.wrappingKey, Buffer.from(wrapped.iv, 'base64'));
+            decipher.setAAD(Buffer.from(`PQLS-API-KEY:${record.keyId}`, 'utf8'));
+            decipher.setAuthTag(Buffer.from(wrapped.authTag, 'base64'));
+            return Buffer.concat([decipher.update(Buffer.from(wrapped.ciphertext, 'base64')), decipher.final()]).toString('utf8');
+        } catch (unwrapError) {
+            const error = new Error(`The signing secret of API key ${record.keyId} does not unwrap`);
+            error.code = ApiKeyRegistry.ERROR_CODES.REGISTRY_INVALID;
+            throw error;
+        }
+    }
+
+    /**
+     * Build a new key record
+     * @param {Object} options - Key settings, as for createKey()
+     * @returns {Object} Token and record
+     */
+    static buildRecord({ name, scopes, expiresAt }) {
+        if (typeof name !== 'string' || !name.trim() || name.length > ApiKeyRegistry.MAX_NAME_LENGTH) {
+            throw ApiKeyRegistry.inputError(`Key names are 1-${ApiKeyRegistry.MAX_NAME_LENGTH} characters`);
+        }
+        if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !ApiKeyRegistry.SCOPES.includes(scope))) {
+            throw ApiKeyRegistry.inputError(`Keys need one or more scopes from: ${ApiKeyRegistry.SCOPES.join(', ')}`);
+        }
+
+        let expiry = null;
+        if (expiresAt !== undefined && expiresAt !== null) {
+            const time = expiresAt instanceof Date ? expiresAt.getTime() : Date.parse(expiresAt);
+            if (!Number.isFinite(time) || time <= Date.now()) {
+                throw ApiKeyRegistry.inputError('Key expiry must be a date in the future');
+            }
+            expiry = new Date(time).toISOString();
+        }
+
+        const keyId = crypto.randomBytes(8).toString('hex');
+        const secret = crypto.randomBytes(ApiKeyRegistry.SECRET_LENGTH).toString('base64url');
+        return {
+            token: `${ApiKeyRegistry.TOKEN_PREFIX}_${keyId}_${secret}`,
+            record: {
+                keyId: keyId,
+                name: name.trim(),
+                scopes: [...new Set(scopes)],
+                hash: ApiKeyRegistry.hashSecret(secret),
+                createdAt: new Date().toISOString(),
+                expiresAt: expiry,
+                lastUsedAt: null,
+                revokedAt: null
+            }
+        };
+    }
+
+    /**
+     * Find a record by key ID
+     * @param {Object} registry - Registry
+     * @param {string} keyId - Key ID
+     * @returns {Object} Record
+     * @throws {Error} KEY_NOT_FOUND
+     */
+    static findRecord(registry, keyId) {
+        const record = registry.keys.find(entry => entry.keyId === keyId);
+        if (!record) {
+            const error = new Error(`No API key with ID ${keyId}`);
+            error.code = ApiKeyRegistry.ERROR_CODES.KEY_NOT_FOUND;
+            throw error;
+        }
+        return record;
+    }
+
+    /**
+     * @param {string} message - Error message
+     * @returns {Error} Error with the INVALID_INPUT code
+     */
+    static inputError(message) {
+        const error = new Error(message);
+        error.code = ApiKeyRegistry.ERROR_CODES.INVALID_INPUT;
+        return error;
+    }
+}
+
+module.exports = ApiKeyRegistry;
+module.exports.FileApiKeyStore = FileApiKeyStore;
+module.exports.EnvironmentApiKeyStore = EnvironmentApiKeyStore;
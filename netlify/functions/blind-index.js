@@ -0,0 +1,64 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/blind-index', scopes: ['search'] };
+exports.auth = AUTH;
+
+// Search terms accepted per request, e.g. the spellings of one query the plugin tries
+const MAX_BLIND_INDEX_TERMS = 100;
+
+/**
+ * Blind index endpoint
+ * Computes the blind index of one or more search terms so the plugin can look up encrypted
+ * entries by exact match against the indexes /encrypt returned, without decrypting anything
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    // Each answer lets the caller test a guessed value against stored indexes; only the search scope allows it
+    auth: AUTH,
+    errorMessage: 'Blind index failed',
+    errorStatus: 400
+}, async ({ body }) => {
+    const { value, values, field, normalization, length } = body;
+
+    const terms = values !== undefined ? values : [value];
+    if (!Array.isArray(terms) || terms.length === 0 || terms.length > MAX_BLIND_INDEX_TERMS ||
+        terms.some(term => typeof term !== 'string')) {
+        throw Middleware.httpError(400, `Provide a string value, or values as an array of 1 to ${MAX_BLIND_INDEX_TERMS} strings.`, {
+            code: Middleware.ERROR_CODES.VALIDATION_FAILED,
+            maxValues: MAX_BLIND_INDEX_TERMS
+        });
+    }
+
+    let indexes;
+    try {
+        indexes = terms.map(term => PostQuantumCrypto.computeBlindIndex(term, { field, normalization, length }));
+    } catch (error) {
+        if (error.code === PostQuantumCrypto.ERROR_CODES.BLIND_INDEX_KEY_REQUIRED ||
+            error.code === PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT) {
+            console.error('Configuration Error:', error.message);
+            throw Middleware.httpError(500, `Server configuration error: ${error.message}`, {
+                code: error.code,
+                details: error.message
+            });
+        }
+        throw error;
+    }
+
+    const [first] = indexes;
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: true,
+            ...(values !== undefined ? { indexes: indexes.map(entry => entry.index) } : { index: first.index }),
+            metadata: {
+                version: first.version,
+                field: first.field,
+                normalization: first.normalization,
+                indexKeyId: first.indexKeyId
+            }
+        }),
+        headers: { 'Content-Type': 'application/json' }
+    };
+});
@@ -0,0 +1,46 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/combine-key', scopes: ['keys'] };
+exports.auth = AUTH;
+
+/**
+ * Break-glass key recovery endpoint
+ * Recombines Shamir shares from /split-key into the private key, optionally returning it as a
+ * passphrase-protected container so the recovered key is never handed out in the clear
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    // Returns the recovered private key, so callers need the keys scope
+    auth: AUTH,
+    errorMessage: 'Key recovery failed',
+    errors: {
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_SHARE]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INSUFFICIENT_SHARES]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400
+    }
+}, async ({ body }) => {
+    const { shares, passphrase } = body;
+
+    const recovered = PostQuantumCrypto.combineKeyShares(shares);
+    console.log(`Recovered ${recovered.algorithm} key ${recovered.keyId || '(unknown id)'} from shares ${recovered.sharesUsed.join(', ')}`);
+
+    const privateKey = passphrase !== undefined ?
+        await PostQuantumCrypto.exportPrivateKey(recovered, passphrase) :
+        recovered.privateKey;
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: true,
+            privateKey: privateKey,
+            algorithm: recovered.algorithm,
+            keyId: recovered.keyId,
+            protected: passphrase !== undefined,
+            sharesUsed: recovered.sharesUsed
+        }),
+        headers: { 'Content-Type': 'application/json' }
+    };
+});
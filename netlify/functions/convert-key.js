@@ -0,0 +1,53 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/convert-key', scopes: ['keys'] };
+exports.auth = AUTH;
+
+/**
+ * Key conversion endpoint
+ * Converts ML-KEM and RSA fallback keys between the service base64 encoding, raw bytes,
+ * PEM (SPKI / PKCS#8) and JWK so they can be moved to and from OpenSSL and other PQ libraries
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    // Re-encodes private keys as well as public ones; that needs the keys scope, not encrypt
+    auth: AUTH,
+    schema: {
+        key: { type: ['string', 'object'], required: true, message: 'Missing key field. Send a key string or JWK object.' }
+    },
+    errorMessage: 'Key conversion failed',
+    errors: {
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400
+    }
+}, async ({ body }) => {
+    const { key, from, to, algorithm, type } = body;
+
+    if (!PostQuantumCrypto.KEY_FORMATS.includes(to)) {
+        throw Middleware.httpError(400, `Missing or invalid to field. Supported formats: ${PostQuantumCrypto.KEY_FORMATS.join(', ')}`, {
+            code: Middleware.ERROR_CODES.VALIDATION_FAILED,
+            supportedFormats: PostQuantumCrypto.KEY_FORMATS
+        });
+    }
+
+    // Conversion is pure encoding work and needs no ML-KEM provider
+    const pqCrypto = new PostQuantumCrypto();
+    const result = pqCrypto.convertKey(key, { from, to, algorithm, type });
+    console.log(`Converted ${result.algorithm} ${result.type} key ${result.keyId} to ${result.format}`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: true,
+            key: result.key,
+            format: result.format,
+            algorithm: result.algorithm,
+            type: result.type,
+            keyId: result.keyId
+        }),
+        headers: { 'Content-Type': 'application/json' }
+    };
+});
@@ -1,242 +1,162 @@
-const crypto = require('crypto');
+const PostQuantumCrypto = require('./crypto-utils');
+const { RSAFallbackCrypto } = require('./crypto-utils');
+const KeyVault = require('./key-vault');
+const Middleware = require('./middleware');
 
-// Memory optimization for serverless environment
-if (process.env.NODE_ENV === 'production') {
-    // Optimize garbage collection for post-quantum operations
-    if (global.gc) {
-        setInterval(() => {
-            if (process.memoryUsage().heapUsed > 268435456) {
-                global.gc();
-            }
-        }, 30000); // Run GC every 30 seconds if memory usage is high
-    }
-    
-    // Set memory limits for OQS operations
-    process.env.OQS_MEMORY_LIMIT = '256';
-    process.env.OQS_CACHE_SIZE = '32';
-}
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/decrypt', scopes: ['decrypt'] };
+exports.auth = AUTH;
 
-// Serverless optimization for post-quantum functions
-if (typeof global !== 'undefined' && !global.__OQS_OPTIMIZED__) {
-    global.__OQS_OPTIMIZED__ = true;
-    
-    // Memory management for serverless
-    const originalMemoryUsage = process.memoryUsage;
-    process.memoryUsage = function() {
-        const usage = originalMemoryUsage();
-        if (usage.heapUsed > 800 * 1024 * 1024) { // 800MB threshold
-            if (global.gc) global.gc();
-        }
-        return usage;
-    };
-    
-    // OQS library caching
-    let oqsInstance = null;
-    global.getOQSInstance = function() {
-        if (!oqsInstance) {
-            oqsInstance = require('oqs.js');
+/**
+ * Decrypt a post-quantum envelope, or an RSA envelope or legacy RSA ciphertext
+ * @param {PostQuantumCrypto} pqCrypto - Crypto instance
+ * @param {string} encryptionType - Type from detectEncryptionType()
+ * @param {string|Object} encryptedData - Envelope, compact envelope or base64 ciphertext
+ * @param {string} privateKeyPem - Private key
+ * @param {Object} options - context, keyId and, for batch envelopes, fieldIds
+ * @returns {Promise<Object>} decryptedData and algorithmUsed
+ */
+async function decryptByType(pqCrypto, encryptionType, encryptedData, privateKeyPem, { context, keyId, fieldIds }) {
+    if (encryptionType === 'post-quantum') {
+        await pqCrypto.initialize();
+
+        let parsedEncryptedData = encryptedData;
+        if (PostQuantumCrypto.isCompact(encryptedData)) {
+            // Compact binary envelope
+            parsedEncryptedData = pqCrypto.fromCompact(encryptedData);
+        } else if (typeof encryptedData === 'string') {
+            try {
+                parsedEncryptedData = JSON.parse(encryptedData);
+            } catch (parseError) {
+                const error = new Error('Post-quantum encrypted data must be a JSON object');
+                error.code = PostQuantumCrypto.ERROR_CODES.INVALID_DATA_FORMAT;
+                throw error;
+            }
         }
-        return oqsInstance;
-    };
-}
-const PostQuantumCrypto = require('./crypto-utils');
-const { RSAFallbackCrypto } = require('./crypto-utils');
 
-exports.handler = async (event) => {
-    if (event.httpMethod !== 'POST') {
-        return { statusCode: 405, body: 'Method Not Allowed' };
+        let decryptedData;
+        if (parsedEncryptedData && parsedEncryptedData.version === PostQuantumCrypto.BATCH_VERSION) {
+            // Batch envelopes decrypt to a map of field IDs to values
+            decryptedData = await pqCrypto.decryptMany(parsedEncryptedData, privateKeyPem, {
+                context: context,
+                fieldIds: fieldIds
+            });
+        } else {
+            decryptedData = await pqCrypto.decrypt(parsedEncryptedData, privateKeyPem, {
+                context: context,
+                keyId: keyId
+            });
+        }
+        return { decryptedData, algorithmUsed: parsedEncryptedData.algorithm || 'ML-KEM+AES-256-GCM' };
     }
 
-    const apiKey = process.env.PQLS_API_KEY;
-    if (!apiKey) {
-        const errorBody = JSON.stringify({ error: "Server configuration error: PQLS_API_KEY is not set on the server." });
-        console.error("Configuration Error: PQLS_API_KEY is not set.");
-        return { statusCode: 500, body: errorBody };
+    // RSA fallback envelopes, and legacy bare base64 RSA ciphertexts
+    let rsaEncryptedData;
+    let parsedRsaData = null;
+    if (typeof encryptedData === 'string') {
+        try {
+            parsedRsaData = JSON.parse(encryptedData);
+        } catch {
+            // Not JSON - a bare base64 ciphertext
+        }
     }
 
-    const authHeader = event.headers.authorization;
-    if (!authHeader || authHeader.split(' ')[1] !== apiKey) {
-        return { statusCode: 401, body: JSON.stringify({ error: 'Unauthorized' }) };
+    if (parsedRsaData && typeof parsedRsaData === 'object') {
+        // JSON string envelope (rsa-v1 or rsa-v2)
+        rsaEncryptedData = parsedRsaData;
+    } else if (typeof encryptedData === 'string') {
+        rsaEncryptedData = {
+            version: 'rsa-v1',
+            algorithm: 'RSA-OAEP-256',
+            encryptedData: encryptedData,
+            fallback: true
+        };
+    } else if (encryptedData.encryptedData) {
+        rsaEncryptedData = encryptedData;
+    } else {
+        const error = new Error('Unrecognized encryption format - expected a post-quantum envelope, an RSA envelope or a base64 RSA ciphertext');
+        error.code = RSAFallbackCrypto.ERROR_CODES.INVALID_DATA_FORMAT;
+        throw error;
     }
 
-    try {
-        const { encryptedData, privateKey: privateKeyPem } = JSON.parse(event.body);
+    const decryptedData = await new RSAFallbackCrypto().decrypt(rsaEncryptedData, privateKeyPem, {
+        context: context
+    });
+    return { decryptedData, algorithmUsed: rsaEncryptedData.algorithm || 'RSA-OAEP-256' };
+}
 
-        if (!encryptedData || !privateKeyPem) {
-            return { statusCode: 400, body: JSON.stringify({ error: 'Missing encryptedData or privateKey' }) };
-        }
+const MISSING_FIELDS = 'Missing encryptedData or privateKey (or the keyId of a vault key)';
 
-        // Initialize post-quantum crypto utility
-        const pqCrypto = new PostQuantumCrypto();
-        
-        // Detect encryption type
-        const encryptionType = pqCrypto.detectEncryptionType(encryptedData);
-        console.log(`Detected encryption type: ${encryptionType}`);
+/**
+ * Decryption endpoint
+ * Opens post-quantum envelopes (single, multi-recipient, wrapped-key, batch or compact) and RSA
+ * fallback ciphertexts with a private key from the request or the key vault
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    auth: AUTH,
+    schema: {
+        encryptedData: { type: ['string', 'object'], required: true, message: MISSING_FIELDS },
+        privateKey: { type: ['string', 'object'], requiredWithout: 'keyId', message: MISSING_FIELDS },
+        keyId: { type: 'string' },
+        fieldIds: { type: 'array' }
+    },
+    errorMessage: 'Decryption failed',
+    errors: {
+        [PostQuantumCrypto.ERROR_CODES.INVALID_DATA_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.DECAPSULATION_FAILED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.DECRYPTION_FAILED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.CONTEXT_REQUIRED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.CONTEXT_MISMATCH]: 400,
+        [PostQuantumCrypto.ERROR_CODES.KEY_MISMATCH]: 400,
+        [PostQuantumCrypto.ERROR_CODES.PASSPHRASE_REQUIRED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_PASSPHRASE]: 400,
+        [RSAFallbackCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [RSAFallbackCrypto.ERROR_CODES.INVALID_DATA_FORMAT]: 400,
+        [RSAFallbackCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+        [RSAFallbackCrypto.ERROR_CODES.DECRYPTION_FAILED]: 400,
+        [KeyVault.ERROR_CODES.INVALID_INPUT]: 400,
+        [KeyVault.ERROR_CODES.KEY_NOT_FOUND]: 404,
+        [KeyVault.ERROR_CODES.ACCESS_DENIED]: 403
+    }
+}, async ({ body, auth }) => {
+    const { encryptedData, privateKey: privateKeyInput, passphrase, context, aad, keyId, fieldIds } = body;
 
-        let decryptedData;
-        let algorithmUsed;
+    // Passphrase-protected keys are unwrapped here and never leave this request
+    let privateKeyPem = privateKeyInput;
+    if (!privateKeyInput) {
+        // Keys held in the vault are named by key ID, unwrapped only inside this request, and
+        // only for the API key that owns them
+        privateKeyPem = await KeyVault.fromEnvironment().loadPrivateKey(keyId, auth);
+    } else if (PostQuantumCrypto.isKeyContainer(privateKeyInput)) {
+        privateKeyPem = (await PostQuantumCrypto.importPrivateKey(privateKeyInput, passphrase)).privateKey;
+    }
 
-        if (encryptionType === 'post-quantum') {
-            // Handle post-quantum encrypted data
-            try {
-                await pqCrypto.initialize();
-                
-                // Parse encrypted data if it's a string
-                let parsedEncryptedData = encryptedData;
-                if (typeof encryptedData === 'string') {
-                    try {
-                        parsedEncryptedData = JSON.parse(encryptedData);
-                    } catch (parseError) {
-                        console.error('Failed to parse post-quantum encrypted data:', parseError.message);
-                        return {
-                            statusCode: 400,
-                            body: JSON.stringify({ 
-                                error: 'Invalid post-quantum encrypted data format',
-                                details: 'Data must be valid JSON object',
-                                encryptionType: 'post-quantum'
-                            })
-                        };
-                    }
-                }
+    const pqCrypto = new PostQuantumCrypto();
+    const encryptionType = pqCrypto.detectEncryptionType(encryptedData);
+    console.log(`Detected encryption type: ${encryptionType}`);
 
-                decryptedData = await pqCrypto.decrypt(parsedEncryptedData, privateKeyPem);
-                algorithmUsed = parsedEncryptedData.algorithm || 'ML-KEM+AES-256-GCM';
-                
-                console.log(`Successfully decrypted post-quantum data using ${algorithmUsed}`);
-                
-            } catch (pqError) {
-                console.error('Post-quantum decryption failed:', pqError.message);
-                
-                // Provide specific error messages based on error codes
-                let errorMessage = 'Post-quantum decryption failed';
-                let statusCode = 500;
-                
-                if (pqError.code === PostQuantumCrypto.ERROR_CODES.LIBRARY_NOT_INITIALIZED || 
-                    pqError.code === PostQuantumCrypto.ERROR_CODES.LIBRARY_LOAD_FAILED) {
-                    errorMessage = 'Post-quantum cryptography library not available';
-                    statusCode = 503; // Service Unavailable
-                } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.INVALID_DATA_FORMAT) {
-                    errorMessage = 'Invalid post-quantum encrypted data format';
-                    statusCode = 400; // Bad Request
-                } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT) {
-                    errorMessage = 'Invalid post-quantum private key format';
-                    statusCode = 400; // Bad Request
-                } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.DECAPSULATION_FAILED ||
-                          pqError.code === PostQuantumCrypto.ERROR_CODES.DECRYPTION_FAILED) {
-                    errorMessage = 'Decryption failed - invalid key or corrupted data';
-                    statusCode = 400; // Bad Request
-                } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED) {
-                    errorMessage = 'Unsupported post-quantum algorithm';
-                    statusCode = 400; // Bad Request
-                }
-                
-                return {
-                    statusCode: statusCode,
-                    body: JSON.stringify({ 
-                        error: errorMessage,
-                        details: pqError.message,
-                        encryptionType: 'post-quantum',
-                        errorCode: pqError.code
-                    })
-                };
-            }
-            
-        } else if (encryptionType === 'rsa' || encryptionType === 'unknown') {
-            // Handle RSA encrypted data (legacy format and fallback)
-            try {
-                console.log('Attempting RSA decryption for data...');
-                console.log('Encryption type detected:', encryptionType);
-                
-                const rsaFallback = new RSAFallbackCrypto();
-                
-                // Handle both direct base64 string and JSON object formats
-                let rsaEncryptedData;
-                if (typeof encryptedData === 'string') {
-                    // Direct base64 string (legacy format)
-                    console.log('Processing legacy base64 string format');
-                    rsaEncryptedData = {
-                        version: 'rsa-v1',
-                        algorithm: 'RSA-OAEP-256',
-                        encryptedData: encryptedData,
-                        fallback: true
-                    };
-                } else if (typeof encryptedData === 'object' && encryptedData.encryptedData) {
-                    // JSON object with encryptedData field
-                    console.log('Processing RSA JSON object format');
-                    rsaEncryptedData = encryptedData;
-                } else {
-                    throw new Error('Invalid RSA encrypted data format - expected base64 string or object with encryptedData field');
-                }
+    const { decryptedData, algorithmUsed } = await decryptByType(pqCrypto, encryptionType, encryptedData, privateKeyPem, {
+        context: context !== undefined ? context : aad,
+        keyId: keyId,
+        fieldIds: fieldIds
+    }).catch(error => {
+        // Refusals still say which kind of ciphertext was detected
+        error.fields = { ...error.fields, encryptionType };
+        throw error;
+    });
 
-                // Use RSA fallback utility for consistent error handling
-                decryptedData = await rsaFallback.decrypt(rsaEncryptedData, privateKeyPem);
-                algorithmUsed = 'RSA-OAEP-256';
-                
-                console.log('Successfully decrypted RSA data using fallback utility');
-                
-            } catch (rsaError) {
-                console.error('RSA decryption failed:', rsaError.message);
-                console.error('RSA error code:', rsaError.code);
-                
-                // Provide specific error messages based on error codes
-                let errorMessage = 'RSA decryption failed';
-                let statusCode = 400;
-                
-                if (rsaError.code === RSAFallbackCrypto.ERROR_CODES.INVALID_KEY_FORMAT) {
-                    errorMessage = 'Invalid RSA private key format';
-                    statusCode = 400;
-                } else if (rsaError.code === RSAFallbackCrypto.ERROR_CODES.INVALID_DATA_FORMAT) {
-                    errorMessage = 'Invalid RSA encrypted data format';
-                    statusCode = 400;
-                } else if (rsaError.code === RSAFallbackCrypto.ERROR_CODES.DECRYPTION_FAILED) {
-                    errorMessage = 'RSA decryption failed - invalid key or corrupted data';
-                    statusCode = 400;
-                } else if (encryptionType === 'unknown') {
-                    errorMessage = 'Unable to decrypt data - unrecognized format and RSA decryption failed';
-                    statusCode = 400;
-                }
-                
-                return {
-                    statusCode: statusCode,
-                    body: JSON.stringify({ 
-                        error: errorMessage,
-                        details: rsaError.message,
-                        encryptionType: encryptionType,
-                        errorCode: rsaError.code,
-                        suggestion: 'Verify that the correct private key is being used and data is not corrupted'
-                    })
-                };
-            }
-        } else {
-            // Unrecognized format
-            console.error('Unrecognized encryption format:', encryptionType);
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: 'Unrecognized encryption format',
-                    details: 'Data does not match known RSA or post-quantum encryption formats',
-                    encryptionType: encryptionType
-                })
-            };
-        }
+    console.log(`Decrypted ${encryptionType} data using ${algorithmUsed}`);
 
-        return {
-            statusCode: 200,
-            body: JSON.stringify({ 
-                decryptedData: decryptedData,
-                algorithmUsed: algorithmUsed,
-                encryptionType: encryptionType
-            }),
-        };
-        
-    } catch (error) {
-        console.error('Unexpected decryption error:', error);
-        return { 
-            statusCode: 500, 
-            body: JSON.stringify({ 
-                error: 'An unexpected error occurred during decryption',
-                details: error.message 
-            }) 
-        };
-    }
-};
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            decryptedData: decryptedData,
+            algorithmUsed: algorithmUsed,
+            encryptionType: encryptionType
+        })
+    };
+});
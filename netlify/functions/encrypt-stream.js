@@ -0,0 +1,199 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/encrypt-stream', scopes: ['encrypt'] };
+exports.auth = AUTH;
+
+// The function receives the whole body at once, so these limits bound its memory use. Netlify caps
+// request and response bodies at 6 MB, and the response carries the encrypted file base64 encoded.
+const MAX_UPLOAD_BYTES = 4 * 1024 * 1024;
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+
+// Initialize post-quantum crypto instance
+const pqCrypto = new PostQuantumCrypto();
+
+// Checked with Middleware.checkBody() once the multipart or JSON body is parsed
+const UPLOAD_SCHEMA = {
+    data: { required: true, message: 'Missing file part or base64 data field.' },
+    publicKey: { type: 'string', required: true, message: 'Missing publicKey or algorithm field.' },
+    algorithm: { type: 'string', required: true, message: 'Missing publicKey or algorithm field.' }
+};
+
+/**
+ * Parse a multipart/form-data body
+ * @param {Buffer} body - Raw request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Object} Text fields by name and the first file part as `file`
+ */
+function parseMultipart(body, boundary) {
+    const delimiter = Buffer.from(`--${boundary}`);
+    const result = { fields: {}, file: null };
+
+    let position = body.indexOf(delimiter);
+    if (position === -1) {
+        throw new Error('Multipart boundary not found in request body');
+    }
+
+    while (position !== -1) {
+        let start = position + delimiter.length;
+        // The closing delimiter is followed by "--"
+        if (body.subarray(start, start + 2).toString() === '--') {
+            break;
+        }
+        start += 2; // CRLF after the delimiter
+
+        const next = body.indexOf(delimiter, start);
+        if (next === -1) {
+            throw new Error('Unterminated multipart body');
+        }
+
+        const part = body.subarray(start, next - 2); // Drop the CRLF before the next delimiter
+        const headerEnd = part.indexOf('\r\n\r\n');
+        if (headerEnd === -1) {
+            throw new Error('Malformed multipart part headers');
+        }
+
+        const headers = part.subarray(0, headerEnd).toString('utf8');
+        const content = part.subarray(headerEnd + 4);
+        const disposition = /content-disposition:[^\r\n]*/i.exec(headers);
+        const name = disposition && /\bname="([^"]*)"/i.exec(disposition[0]);
+        const filename = disposition && /\bfilename="([^"]*)"/i.exec(disposition[0]);
+        const contentType = /content-type:\s*([^\r\n]+)/i.exec(headers);
+
+        if (filename) {
+            if (!result.file) {
+                result.file = {
+                    field: name ? name[1] : null,
+                    filename: filename[1],
+                    contentType: contentType ? contentType[1].trim() : 'application/octet-stream',
+                    data: content
+                };
+            }
+        } else if (name) {
+            result.fields[name[1]] = content.toString('utf8');
+        }
+
+        position = next;
+    }
+
+    return result;
+}
+
+/**
+ * Extract the upload, key and options from a multipart or JSON request
+ * @param {Object} request - Middleware request
+ * @returns {Object} Upload request fields
+ */
+function parseRequest(request) {
+    const contentType = request.headers['content-type'] || '';
+    const rawBody = request.rawBody;
+
+    if (contentType.toLowerCase().startsWith('multipart/form-data')) {
+        const boundary = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+        if (!boundary) {
+            throw new Error('Missing multipart boundary');
+        }
+
+        const { fields, file } = parseMultipart(rawBody, (boundary[1] || boundary[2]).trim());
+        return {
+            data: file ? file.data : null,
+            filename: file ? file.filename : null,
+            contentType: file ? file.contentType : null,
+            publicKey: fields.publicKey,
+            algorithm: fields.algorithm,
+            context: fields.context ? JSON.parse(fields.context) : undefined,
+            chunkSize: fields.chunkSize ? Number(fields.chunkSize) : undefined
+        };
+    }
+
+    const requestData = JSON.parse(rawBody.toString('utf8'));
+    return {
+        data: typeof requestData.data === 'string' ? Buffer.from(requestData.data, 'base64') : null,
+        filename: requestData.filename || null,
+        contentType: requestData.contentType || null,
+        publicKey: requestData.publicKey,
+        algorithm: requestData.algorithm,
+        context: requestData.context !== undefined ? requestData.context : requestData.aad,
+        chunkSize: requestData.chunkSize
+    };
+}
+
+/**
+ * Chunked encryption endpoint for file uploads
+ * Accepts multipart/form-data (a file part plus publicKey, algorithm and context fields)
+ * or JSON with base64 `data`, and returns the file in the chunked pq-stream-v1 format.
+ * The request is not streamed: the body is buffered in full, and bodyLimit and
+ * MAX_UPLOAD_BYTES refuse anything larger before it is encrypted.
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    auth: AUTH,
+    // Multipart uploads are parsed here, and base64 JSON uploads are a third larger than the file
+    json: false,
+    bodyLimit: MAX_BODY_BYTES,
+    errorMessage: 'Stream encryption failed',
+    errors: {
+        [PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.ENCAPSULATION_FAILED]: 400
+    }
+}, async (request) => {
+    let upload;
+    try {
+        upload = parseRequest(request);
+    } catch (parseError) {
+        throw Middleware.httpError(400, 'Invalid request body', { details: parseError.message });
+    }
+
+    Middleware.checkBody(upload, UPLOAD_SCHEMA);
+
+    if (upload.data.length > MAX_UPLOAD_BYTES) {
+        throw Middleware.httpError(413, `Upload exceeds the maximum size of ${MAX_UPLOAD_BYTES} bytes.`, {
+            code: Middleware.ERROR_CODES.PAYLOAD_TOO_LARGE,
+            maxBytes: MAX_UPLOAD_BYTES
+        });
+    }
+
+    let context;
+    try {
+        context = PostQuantumCrypto.canonicalizeContext(upload.context);
+    } catch (contextError) {
+        throw Middleware.httpError(400, `Invalid context field. ${contextError.message}`, { code: 'INVALID_CONTEXT', field: 'context' });
+    }
+
+    await pqCrypto.ensureInitialized();
+
+    const result = await pqCrypto.encryptBuffer(upload.data, upload.publicKey, upload.algorithm, {
+        context,
+        chunkSize: upload.chunkSize
+    });
+
+    console.log(`Stream encryption successful: ${upload.data.length} bytes in ${result.chunks} chunks with ${result.header.algorithm}`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: true,
+            encryptedStream: result.stream.toString('base64'),
+            header: result.header,
+            metadata: {
+                format: PostQuantumCrypto.STREAM_VERSION,
+                algorithm: result.header.algorithm,
+                securityLevel: result.header.securityLevel,
+                filename: upload.filename,
+                contentType: upload.contentType,
+                originalSize: upload.data.length,
+                encryptedSize: result.stream.length,
+                chunkSize: result.header.chunkSize,
+                chunks: result.chunks,
+                contextBound: Boolean(context)
+            }
+        }),
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Encryption-Algorithm': result.header.algorithm
+        }
+    };
+});
@@ -1,72 +1,14 @@
 const PostQuantumCrypto = require('./crypto-utils');
 const { RSAFallbackCrypto } = require('./crypto-utils');
+const RequestAuth = require('./request-auth');
+const Middleware = require('./middleware');
 
-// Memory optimization for serverless environment
-if (process.env.NODE_ENV === 'production') {
-    // Optimize garbage collection for post-quantum operations
-    if (global.gc) {
-        setInterval(() => {
-            if (process.memoryUsage().heapUsed > 268435456) {
-                global.gc();
-            }
-        }, 30000); // Run GC every 30 seconds if memory usage is high
-    }
-    
-    // Set memory limits for OQS operations
-    process.env.OQS_MEMORY_LIMIT = '256';
-    process.env.OQS_CACHE_SIZE = '32';
-}
-
-// Serverless optimization for post-quantum functions
-if (typeof global !== 'undefined' && !global.__OQS_OPTIMIZED__) {
-    global.__OQS_OPTIMIZED__ = true;
-    
-    // Memory management for serverless
-    const originalMemoryUsage = process.memoryUsage;
-    process.memoryUsage = function() {
-        const usage = originalMemoryUsage();
-        if (usage.heapUsed > 800 * 1024 * 1024) { // 800MB threshold
-            if (global.gc) global.gc();
-        }
-        return usage;
-    };
-    
-    // OQS library caching
-    let oqsInstance = null;
-    global.getOQSInstance = function() {
-        if (!oqsInstance) {
-            oqsInstance = require('oqs.js');
-        }
-        return oqsInstance;
-    };
-}
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/encrypt', scopes: ['encrypt'] };
+exports.auth = AUTH;
 
 // Initialize post-quantum crypto instance
 const pqCrypto = new PostQuantumCrypto();
-let initializationPromise = null;
-
-/**
- * Initialize OQS library with proper error handling
- * @returns {Promise<boolean>} True if initialization successful
- */
-async function ensureInitialized() {
-    if (pqCrypto.isReady()) {
-        return true;
-    }
-    
-    if (!initializationPromise) {
-        initializationPromise = pqCrypto.initialize();
-    }
-    
-    try {
-        await initializationPromise;
-        return true;
-    } catch (error) {
-        console.error('Failed to initialize post-quantum crypto:', error.message);
-        initializationPromise = null; // Reset for retry
-        throw error;
-    }
-}
 
 /**
  * Performance monitoring utility
@@ -104,227 +46,211 @@ class PerformanceMonitor {
     }
 }
 
-exports.handler = async (event) => {
+// HTTP status for each error code encryption may throw; others are server errors
+const ENCRYPTION_ERRORS = {
+    [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+    [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+    [PostQuantumCrypto.ERROR_CODES.INVALID_DATA_FORMAT]: 400,
+    [PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400,
+    [PostQuantumCrypto.ERROR_CODES.ENCAPSULATION_FAILED]: 400,
+    [RSAFallbackCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+    [RSAFallbackCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400
+};
+
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    auth: AUTH,
+    schema: {
+        data: { type: 'string', required: true, message: 'Missing or invalid data field. Data must be a non-empty string.' },
+        publicKey: {
+            type: 'string',
+            requiredWithout: 'publicKeys',
+            message: 'Missing or invalid publicKey field. Public key must be a non-empty base64 string.'
+        },
+        publicKeys: {
+            type: 'array',
+            minItems: 1,
+            maxItems: PostQuantumCrypto.MAX_RECIPIENTS,
+            message: `Invalid publicKeys field. Provide an array of 1 to ${PostQuantumCrypto.MAX_RECIPIENTS} base64 public keys or { publicKey, algorithm } objects.`
+        },
+        algorithm: {
+            type: 'string',
+            required: true,
+            enum: () => pqCrypto.getKemAlgorithms(),
+            message: algorithm => typeof algorithm === 'string' && algorithm ?
+                `Unsupported algorithm: ${algorithm}. Supported algorithms: ${pqCrypto.getKemAlgorithms().join(', ')}` :
+                `Missing or invalid algorithm field. Algorithm must be specified (${pqCrypto.getKemAlgorithms().join(', ')}).`
+        },
+        securityLevel: {
+            enum: () => PostQuantumCrypto.getSecurityLevels(),
+            message: level => `Invalid security level: ${level}. Valid levels: ${PostQuantumCrypto.getSecurityLevels().join(', ')}`
+        },
+        format: {
+            enum: ['json', 'compact'],
+            message: format => `Invalid format: ${format}. Valid formats: json, compact`
+        },
+        cipher: {
+            enum: () => PostQuantumCrypto.DATA_CIPHERS,
+            message: cipher => `Invalid cipher: ${cipher}. Valid ciphers: ${PostQuantumCrypto.DATA_CIPHERS.join(', ')}`
+        },
+        keyWrap: { type: 'boolean', message: 'Invalid keyWrap field. keyWrap must be a boolean.' }
+    },
+    errorMessage: 'Encryption failed',
+    errors: ENCRYPTION_ERRORS
+}, async (request) => {
     const monitor = new PerformanceMonitor('post-quantum-encryption');
-    
-    if (event.httpMethod !== 'POST') {
-        return { 
-            statusCode: 405, 
-            body: JSON.stringify({ error: 'Method Not Allowed' }),
-            headers: { 'Content-Type': 'application/json' }
-        };
+    monitor.mark('request-parsing');
+
+    const { data, publicKey, publicKeys, algorithm, context, aad, cipher, padding, keyWrap = false, blindIndex: blindIndexRequest, format = 'json' } = request.body;
+    const multiRecipient = publicKeys !== undefined;
+    const dataCipher = cipher === undefined ? PostQuantumCrypto.DEFAULT_DATA_CIPHER : cipher;
+
+    // The compact encoding has no field for the data cipher
+    if (format === 'compact' && dataCipher !== PostQuantumCrypto.LEGACY_DATA_CIPHER) {
+        throw Middleware.invalidField('format', `The compact format only supports ${PostQuantumCrypto.LEGACY_DATA_CIPHER}. Use format json with ${dataCipher}.`);
     }
 
+    // Validate the padding policy; `true` selects the server default (PQLS_DEFAULT_PADDING)
+    let paddingPolicy;
     try {
-        monitor.mark('request-parsing');
-        
-        // Parse and validate request
-        let requestData;
-        try {
-            requestData = JSON.parse(event.body);
-        } catch (parseError) {
-            console.error('Request parsing error:', parseError.message);
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: 'Invalid JSON in request body',
-                    details: parseError.message
-                }),
-                headers: { 'Content-Type': 'application/json' }
-            };
-        }
+        paddingPolicy = PostQuantumCrypto.resolvePadding(padding);
+    } catch (paddingError) {
+        throw Middleware.invalidField('padding', `Invalid padding field. ${paddingError.message}`);
+    }
 
-        const { data, publicKey, algorithm, securityLevel } = requestData;
+    // The compact encoding has no field for the padding policy
+    if (format === 'compact' && paddingPolicy) {
+        throw Middleware.invalidField('format', 'The compact format does not support padding. Use format json to pad values.');
+    }
 
-        // Input validation
-        if (!data || typeof data !== 'string') {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: 'Missing or invalid data field. Data must be a non-empty string.' 
-                }),
-                headers: { 'Content-Type': 'application/json' }
-            };
-        }
+    // Wrapped-key envelopes are what /rewrap rotates; they have no compact encoding
+    if (keyWrap && (format === 'compact' || multiRecipient)) {
+        throw Middleware.invalidField('keyWrap', 'Invalid keyWrap field. keyWrap cannot be combined with format compact or publicKeys.');
+    }
 
-        if (!publicKey || typeof publicKey !== 'string') {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: 'Missing or invalid publicKey field. Public key must be a non-empty base64 string.' 
-                }),
-                headers: { 'Content-Type': 'application/json' }
-            };
-        }
+    // Validate authenticated context if provided (`aad` is accepted as an alias)
+    let encryptionContext;
+    try {
+        encryptionContext = PostQuantumCrypto.canonicalizeContext(context !== undefined ? context : aad);
+    } catch (contextError) {
+        throw Middleware.httpError(400, `Invalid context field. ${contextError.message}`, { code: 'INVALID_CONTEXT', field: 'context' });
+    }
 
-        if (!algorithm || typeof algorithm !== 'string') {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: 'Missing or invalid algorithm field. Algorithm must be specified (ML-KEM-768 or ML-KEM-1024).' 
-                }),
-                headers: { 'Content-Type': 'application/json' }
-            };
+    // A blind index lets its holder test guesses against stored indexes, so it is only
+    // returned to callers that may also search with /blind-index
+    let blindIndex = null;
+    if (blindIndexRequest !== undefined && blindIndexRequest !== null && blindIndexRequest !== false) {
+        if (!RequestAuth.hasScope(request.auth, 'search')) {
+            throw Middleware.httpError(403, 'Forbidden. Blind indexes require the search scope.', {
+                code: RequestAuth.ERROR_CODES.INSUFFICIENT_SCOPE
+            });
         }
 
-        // Validate algorithm
-        const supportedAlgorithms = ['ML-KEM-768', 'ML-KEM-1024'];
-        if (!supportedAlgorithms.includes(algorithm)) {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: `Unsupported algorithm: ${algorithm}. Supported algorithms: ${supportedAlgorithms.join(', ')}` 
-                }),
-                headers: { 'Content-Type': 'application/json' }
-            };
+        // Only the index options are taken from the request; the key always comes from the server
+        const { field, normalization, length } = typeof blindIndexRequest === 'string' ?
+            { field: blindIndexRequest } : blindIndexRequest;
+        try {
+            blindIndex = PostQuantumCrypto.computeBlindIndex(data, { field, normalization, length });
+        } catch (indexError) {
+            if (indexError.code === PostQuantumCrypto.ERROR_CODES.BLIND_INDEX_KEY_REQUIRED ||
+                indexError.code === PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT) {
+                console.error('Configuration Error:', indexError.message);
+                throw Middleware.httpError(500, `Server configuration error: ${indexError.message}`, { code: indexError.code });
+            }
+            throw Middleware.invalidField('blindIndex', `Invalid blindIndex field. ${indexError.message}`);
         }
+    }
+
+    monitor.mark('initialization');
+
+    let encryptedResult;
+    let usedFallback = false;
+
+    // Try post-quantum encryption first
+    try {
+        await pqCrypto.ensureInitialized();
+        monitor.mark('pq-encryption-start');
 
-        // Validate security level if provided
-        const validSecurityLevels = ['standard', 'high'];
-        const effectiveSecurityLevel = securityLevel || (algorithm === 'ML-KEM-1024' ? 'high' : 'standard');
-        if (!validSecurityLevels.includes(effectiveSecurityLevel)) {
-            return {
-                statusCode: 400,
-                body: JSON.stringify({ 
-                    error: `Invalid security level: ${effectiveSecurityLevel}. Valid levels: ${validSecurityLevels.join(', ')}` 
-                }),
-                headers: { 'Content-Type': 'application/json' }
-            };
+        console.log(`Attempting post-quantum encryption with ${algorithm}...`);
+        encryptedResult = await pqCrypto.encrypt(data, multiRecipient ? publicKeys : publicKey, algorithm, {
+            context: encryptionContext,
+            cipher: dataCipher,
+            padding: paddingPolicy,
+            keyWrap: keyWrap
+        });
+    } catch (pqError) {
+        // The RSA fallback has no multi-recipient or rewrappable envelope, only encrypts with
+        // AES-256-GCM and does not pad, so falling back would silently drop what the caller asked for
+        if (multiRecipient || dataCipher !== PostQuantumCrypto.LEGACY_DATA_CIPHER || paddingPolicy || keyWrap) {
+            console.error('Post-quantum encryption failed without fallback:', pqError.message, pqError.code);
+            throw pqError;
         }
 
-        monitor.mark('initialization');
-        
-        let encryptedResult;
-        let usedFallback = false;
-        
-        // Try post-quantum encryption first
+        console.warn('Post-quantum encryption failed, attempting RSA fallback:', pqError.message, pqError.code);
+        monitor.mark('rsa-fallback-start');
         try {
-            await ensureInitialized();
-            monitor.mark('pq-encryption-start');
-            
-            console.log(`Attempting post-quantum encryption with ${algorithm}...`);
-            encryptedResult = await pqCrypto.encrypt(data, publicKey, algorithm);
-            
-            console.log('Post-quantum encryption successful');
-            
-        } catch (pqError) {
-            console.warn('Post-quantum encryption failed, attempting RSA fallback:', pqError.message);
-            console.warn('Error code:', pqError.code);
-            
-            // Attempt RSA fallback
-            try {
-                monitor.mark('rsa-fallback-start');
-                
-                const rsaFallback = new RSAFallbackCrypto();
-                console.log('Using RSA fallback encryption...');
-                
-                encryptedResult = await rsaFallback.encrypt(data, publicKey);
-                usedFallback = true;
-                
-                console.log('RSA fallback encryption successful');
-                
-            } catch (rsaError) {
-                console.error('Both post-quantum and RSA encryption failed');
-                console.error('Post-quantum error:', pqError.message, pqError.code);
-                console.error('RSA fallback error:', rsaError.message, rsaError.code);
-                
-                // Determine the most appropriate error to return
-                let errorMessage = 'Encryption failed - both post-quantum and RSA fallback unsuccessful.';
-                let statusCode = 500;
-                let errorCode = 'ENCRYPTION_FAILED';
-                
-                // If the original PQ error was due to invalid input, prioritize that
-                if (pqError.code === PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT ||
-                    rsaError.code === RSAFallbackCrypto.ERROR_CODES.INVALID_KEY_FORMAT) {
-                    errorMessage = 'Invalid public key format. Please ensure the key is properly formatted.';
-                    statusCode = 400;
-                    errorCode = 'INVALID_KEY_FORMAT';
-                } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.INVALID_INPUT ||
-                          rsaError.code === RSAFallbackCrypto.ERROR_CODES.INVALID_INPUT) {
-                    errorMessage = 'Invalid input parameters provided.';
-                    statusCode = 400;
-                    errorCode = 'INVALID_INPUT';
-                } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.LIBRARY_LOAD_FAILED) {
-                    errorMessage = 'Cryptography libraries are not available on this system.';
-                    statusCode = 503;
-                    errorCode = 'SERVICE_UNAVAILABLE';
-                }
-                
-                return {
-                    statusCode: statusCode,
-                    body: JSON.stringify({ 
-                        error: errorMessage,
-                        code: errorCode,
-                        details: {
-                            postQuantumError: pqError.message,
-                            rsaFallbackError: rsaError.message
-                        },
-                        algorithm: algorithm,
-                        timestamp: new Date().toISOString()
-                    }),
-                    headers: { 'Content-Type': 'application/json' }
-                };
-            }
+            encryptedResult = await new RSAFallbackCrypto().encrypt(data, publicKey, { context: encryptionContext });
+            usedFallback = true;
+        } catch (rsaError) {
+            console.error('RSA fallback encryption failed:', rsaError.message, rsaError.code);
+            // A problem with the request is reported over the service being unavailable
+            throw [pqError, rsaError].find(error => ENCRYPTION_ERRORS[error.code] === 400) || pqError;
         }
+    }
 
-        monitor.mark('response-preparation');
-        
-        // Prepare response with metadata
-        const response = {
-            success: true,
-            encryptedData: encryptedResult,
-            metadata: {
-                algorithm: encryptedResult.algorithm,
-                securityLevel: encryptedResult.securityLevel,
-                version: encryptedResult.version,
-                encryptedAt: encryptedResult.timestamp,
-                dataSize: data.length,
-                encryptedSize: encryptedResult.encryptedData ? encryptedResult.encryptedData.length : 0,
-                fallbackUsed: usedFallback,
-                encryptionMethod: usedFallback ? 'RSA-OAEP-256' : `${algorithm}+AES-256-GCM`
-            }
-        };
+    monitor.mark('response-preparation');
 
-        const performanceMetrics = monitor.finish();
-        
-        // Log successful encryption with performance metrics
-        console.log('Encryption successful:', {
+    // RSA fallback envelopes have no compact encoding and are always returned as JSON
+    const outputFormat = usedFallback ? 'json' : format;
+
+    // Prepare response with metadata
+    const response = {
+        success: true,
+        encryptedData: outputFormat === 'compact' ? pqCrypto.toCompact(encryptedResult) : encryptedResult,
+        metadata: {
             algorithm: encryptedResult.algorithm,
             securityLevel: encryptedResult.securityLevel,
+            version: encryptedResult.version,
+            keyId: encryptedResult.recipients ?
+                encryptedResult.recipients.map(recipient => recipient.keyId) :
+                encryptedResult.keyId,
+            encryptedAt: encryptedResult.timestamp,
             dataSize: data.length,
+            encryptedSize: encryptedResult.encryptedData ? encryptedResult.encryptedData.length : 0,
             fallbackUsed: usedFallback,
-            performance: performanceMetrics
-        });
-
-        return {
-            statusCode: 200,
-            body: JSON.stringify(response),
-            headers: { 
-                'Content-Type': 'application/json',
-                'X-Encryption-Algorithm': encryptedResult.algorithm,
-                'X-Security-Level': encryptedResult.securityLevel,
-                'X-Fallback-Used': usedFallback.toString(),
-                'X-Performance-Ms': performanceMetrics.totalDurationMs.toString()
-            }
-        };
+            contextBound: Boolean(encryptedResult.context),
+            padding: encryptedResult.padding || 'none',
+            recipients: encryptedResult.recipients ? encryptedResult.recipients.length : 1,
+            format: outputFormat,
+            encryptionMethod: encryptedResult.algorithm
+        }
+    };
 
-    } catch (error) {
-        const performanceMetrics = monitor.finish();
-        
-        console.error('Unexpected encryption error:', {
-            message: error.message,
-            stack: error.stack,
-            performance: performanceMetrics
-        });
-        
-        return {
-            statusCode: 500,
-            body: JSON.stringify({ 
-                error: 'An unexpected error occurred during encryption.',
-                timestamp: new Date().toISOString(),
-                requestId: event.headers?.['x-request-id'] || 'unknown'
-            }),
-            headers: { 'Content-Type': 'application/json' }
-        };
+    // Returned next to the envelope so it can be stored in a searchable column
+    if (blindIndex) {
+        response.blindIndex = blindIndex;
     }
-}; 
\ No newline at end of file
+
+    const performanceMetrics = monitor.finish();
+
+    // Log successful encryption with performance metrics
+    console.log('Encryption successful:', {
+        algorithm: encryptedResult.algorithm,
+        securityLevel: encryptedResult.securityLevel,
+        dataSize: data.length,
+        fallbackUsed: usedFallback,
+        performance: performanceMetrics
+    });
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify(response),
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Encryption-Algorithm': encryptedResult.algorithm,
+            'X-Security-Level': encryptedResult.securityLevel,
+            'X-Fallback-Used': usedFallback.toString(),
+            'X-Performance-Ms': performanceMetrics.totalDurationMs.toString()
+        }
+    };
+});
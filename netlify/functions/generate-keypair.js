@@ -1,62 +1,76 @@
 const PostQuantumCrypto = require('./crypto-utils');
-const { RSAFallbackCrypto } = require('./crypto-utils');
+const { RSAFallbackCrypto, PostQuantumSignature } = require('./crypto-utils');
+const Middleware = require('./middleware');
 
-// Memory optimization for serverless environment
-if (process.env.NODE_ENV === 'production') {
-    // Optimize garbage collection for post-quantum operations
-    if (global.gc) {
-        setInterval(() => {
-            if (process.memoryUsage().heapUsed > 268435456) {
-                global.gc();
-            }
-        }, 30000); // Run GC every 30 seconds if memory usage is high
-    }
-    
-    // Set memory limits for OQS operations
-    process.env.OQS_MEMORY_LIMIT = '256';
-    process.env.OQS_CACHE_SIZE = '32';
-}
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/generate-keypair', scopes: ['keys'] };
+exports.auth = AUTH;
 
-// Serverless optimization for post-quantum functions
-if (typeof global !== 'undefined' && !global.__OQS_OPTIMIZED__) {
-    global.__OQS_OPTIMIZED__ = true;
-    
-    // Memory management for serverless
-    const originalMemoryUsage = process.memoryUsage;
-    process.memoryUsage = function() {
-        const usage = originalMemoryUsage();
-        if (usage.heapUsed > 800 * 1024 * 1024) { // 800MB threshold
-            if (global.gc) global.gc();
+exports.handler = Middleware.createHandler({
+    methods: ['GET', 'POST'],
+    auth: AUTH,
+    // Options come from the query string; the body only carries the passphrase
+    schema: {
+        passphrase: {
+            type: 'string',
+            minLength: PostQuantumCrypto.KEY_CONTAINER_MIN_PASSPHRASE_LENGTH,
+            message: `Invalid passphrase. Passphrase must be a string of at least ${PostQuantumCrypto.KEY_CONTAINER_MIN_PASSPHRASE_LENGTH} characters.`
         }
-        return usage;
-    };
-    
-    // OQS library caching
-    let oqsInstance = null;
-    global.getOQSInstance = function() {
-        if (!oqsInstance) {
-            oqsInstance = require('oqs.js');
-        }
-        return oqsInstance;
-    };
-}
-
-exports.handler = async (event) => {
+    },
+    errorMessage: 'Key generation failed'
+}, async ({ query: queryParams, body }) => {
     // Parse query parameters to determine security level
-    const queryParams = event.queryStringParameters || {};
     const securityLevel = queryParams.security || queryParams.level || 'standard';
+    const mode = queryParams.mode || 'pq';
+    const keyType = queryParams.type || 'encryption';
     
-    // Validate security level parameter
-    if (!['standard', 'high'].includes(securityLevel)) {
+    // A passphrase is only accepted in a POST body so it never appears in URLs or access logs
+    if (queryParams.passphrase !== undefined) {
+        throw Middleware.invalidField('passphrase', 'Invalid passphrase parameter.', {
+            details: 'Send the passphrase in a JSON POST body, not in the query string.'
+        });
+    }
+    
+    const passphrase = body ? body.passphrase : undefined;
+    
+    // Validate key type parameter
+    if (!['encryption', 'signing'].includes(keyType)) {
+        console.error(`Invalid key type requested: ${keyType}`);
+        throw Middleware.invalidField('type', 'Invalid type parameter.', {
+            details: `Type must be 'encryption' (ML-KEM) or 'signing' (ML-DSA / SLH-DSA). Received: ${keyType}`,
+            supportedTypes: ['encryption', 'signing']
+        });
+    }
+    
+    // Validate key mode parameter
+    if (!['pq', 'hybrid'].includes(mode)) {
+        console.error(`Invalid key mode requested: ${mode}`);
+        throw Middleware.invalidField('mode', 'Invalid mode parameter.', {
+            details: `Mode must be 'pq' (ML-KEM) or 'hybrid' (${Object.values(PostQuantumCrypto.getDefaultAlgorithms(true)).join(' / ')}). Received: ${mode}`,
+            supportedModes: ['pq', 'hybrid']
+        });
+    }
+    
+    // Validate security level parameter against the algorithms registered for this key type and mode
+    const levelAlgorithms = keyType === 'signing' ?
+        new PostQuantumSignature().supportedAlgorithms :
+        PostQuantumCrypto.getDefaultAlgorithms(mode === 'hybrid');
+    if (!Object.prototype.hasOwnProperty.call(levelAlgorithms, securityLevel)) {
         console.error(`Invalid security level requested: ${securityLevel}`);
-        return {
-            statusCode: 400,
-            body: JSON.stringify({
-                error: 'Invalid security level parameter.',
-                details: `Security level must be 'standard' (ML-KEM-768) or 'high' (ML-KEM-1024). Received: ${securityLevel}`,
-                supportedLevels: ['standard', 'high']
-            }),
-        };
+        const supportedLevels = Object.keys(levelAlgorithms);
+        throw Middleware.invalidField('security', 'Invalid security level parameter.', {
+            details: `Security level must be one of ${supportedLevels.map(level => `'${level}' (${levelAlgorithms[level]})`).join(', ')}. Received: ${securityLevel}`,
+            supportedLevels: supportedLevels
+        });
+    }
+    
+    if (keyType === 'signing') {
+        if (passphrase !== undefined) {
+            throw Middleware.invalidField('passphrase', 'Invalid passphrase.', {
+                details: 'Passphrase protection is available for encryption keypairs only.'
+            });
+        }
+        return generateSigningKeypair(securityLevel, queryParams.scheme === 'hash');
     }
     
     const pqCrypto = new PostQuantumCrypto();
@@ -69,7 +83,7 @@ exports.handler = async (event) => {
         await pqCrypto.initialize();
         
         console.log(`Generating post-quantum keypair with security level: ${securityLevel}`);
-        keypairResult = await pqCrypto.generateKeypair(securityLevel);
+        keypairResult = await pqCrypto.generateKeypair(securityLevel, { hybrid: mode === 'hybrid' });
         
         console.log(`Successfully generated ${keypairResult.algorithm} keypair`);
         console.log(`Key sizes - Public: ${keypairResult.keySize.publicKey} bytes, Private: ${keypairResult.keySize.privateKey} bytes`);
@@ -96,52 +110,59 @@ exports.handler = async (event) => {
             
             // Determine the most appropriate error to return
             let statusCode = 500;
-            let errorResponse = {
-                error: 'Key generation failed - both post-quantum and RSA fallback unsuccessful.',
-                details: {
-                    postQuantumError: pqError.message,
-                    rsaFallbackError: rsaError.message
-                },
-                errorCode: 'KEY_GENERATION_FAILED',
-                timestamp: new Date().toISOString()
-            };
+            let message = 'Key generation failed - both post-quantum and RSA fallback unsuccessful.';
+            let resolution;
             
             // Provide specific error responses based on error type
             if (pqError.code === PostQuantumCrypto.ERROR_CODES.LIBRARY_LOAD_FAILED) {
                 statusCode = 503;
-                errorResponse.error = 'Cryptography libraries are not available on this system.';
-                errorResponse.resolution = 'Contact system administrator to install required cryptography libraries.';
+                message = 'Cryptography libraries are not available on this system.';
+                resolution = 'Contact system administrator to install required cryptography libraries.';
             } else if (pqError.code === PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED) {
                 statusCode = 503;
-                errorResponse.error = 'Required cryptographic algorithms not available.';
-                errorResponse.resolution = 'Update cryptography libraries to support required algorithms.';
+                message = 'Required cryptographic algorithms not available.';
+                resolution = 'Update cryptography libraries to support required algorithms.';
             } else if (rsaError.code === RSAFallbackCrypto.ERROR_CODES.KEYPAIR_GENERATION_FAILED) {
                 statusCode = 500;
-                errorResponse.error = 'System cryptography failure - unable to generate any type of keys.';
-                errorResponse.resolution = 'Contact system administrator - fundamental cryptography issue.';
+                message = 'System cryptography failure - unable to generate any type of keys.';
+                resolution = 'Contact system administrator - fundamental cryptography issue.';
             }
             
-            return {
-                statusCode,
-                body: JSON.stringify(errorResponse),
-            };
+            throw Middleware.httpError(statusCode, message, {
+                code: 'KEY_GENERATION_FAILED',
+                details: {
+                    postQuantumError: pqError.message,
+                    rsaFallbackError: rsaError.message
+                },
+                resolution: resolution
+            });
         }
     }
     
     // Prepare successful response
     const response = {
         publicKey: keypairResult.publicKey,
-        privateKey: keypairResult.privateKey,
+        privateKey: passphrase !== undefined ?
+            await PostQuantumCrypto.exportPrivateKey(keypairResult, passphrase) :
+            keypairResult.privateKey,
+        privateKeyProtected: passphrase !== undefined,
         algorithm: keypairResult.algorithm,
         securityLevel: keypairResult.securityLevel,
+        keyId: keypairResult.keyId,
+        fingerprint: keypairResult.fingerprint,
         keySize: keypairResult.keySize,
         generatedAt: keypairResult.generatedAt,
         fallbackUsed: usedFallback,
         metadata: {
-            version: usedFallback ? 'rsa-v1' : 'pq-v1',
+            version: usedFallback ? RSAFallbackCrypto.ENVELOPE_VERSIONS.CURRENT : PostQuantumCrypto.ENVELOPE_VERSIONS.CURRENT,
+            kdf: usedFallback ? null : PostQuantumCrypto.KDF_ALGORITHM,
             kemAlgorithm: keypairResult.algorithm,
-            dataEncryption: usedFallback ? 'RSA-OAEP-256' : 'AES-256-GCM',
-            combinedAlgorithm: usedFallback ? keypairResult.algorithm : `${keypairResult.algorithm}+AES-256-GCM`,
+            dataEncryption: usedFallback ? 'AES-256-GCM' : PostQuantumCrypto.DEFAULT_DATA_CIPHER,
+            combinedAlgorithm: usedFallback ?
+                `${keypairResult.algorithm}+AES-256-GCM` :
+                `${keypairResult.algorithm}+${PostQuantumCrypto.DEFAULT_DATA_CIPHER}`,
+            dataCiphers: usedFallback ? ['AES-256-GCM'] : PostQuantumCrypto.DATA_CIPHERS,
+            hybrid: Boolean(keypairResult.hybrid),
             fallback: usedFallback
         }
     };
@@ -155,4 +176,45 @@ exports.handler = async (event) => {
             'X-Algorithm': keypairResult.algorithm
         }
     };
-}; 
\ No newline at end of file
+});
+
+/**
+ * Generate an ML-DSA or SLH-DSA signing keypair
+ * There is no RSA fallback for signing keys, so errors go to the error envelope
+ * @param {string} securityLevel - 'standard' or 'high'
+ * @param {boolean} hashBased - Use SLH-DSA instead of ML-DSA
+ * @returns {Promise<Object>} Netlify function response
+ */
+async function generateSigningKeypair(securityLevel, hashBased) {
+    const signatureService = new PostQuantumSignature();
+    await signatureService.initialize();
+    
+    const keypairResult = await signatureService.generateSigningKeypair(securityLevel, { hashBased });
+    console.log(`Successfully generated ${keypairResult.algorithm} signing keypair`);
+    
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            publicKey: keypairResult.publicKey,
+            privateKey: keypairResult.privateKey,
+            algorithm: keypairResult.algorithm,
+            securityLevel: keypairResult.securityLevel,
+            keyId: keypairResult.keyId,
+            fingerprint: keypairResult.fingerprint,
+            keySize: keypairResult.keySize,
+            generatedAt: keypairResult.generatedAt,
+            fallbackUsed: false,
+            metadata: {
+                version: PostQuantumSignature.SIGNATURE_VERSION,
+                type: 'signing',
+                signatureAlgorithm: keypairResult.algorithm,
+                hashBased: Boolean(hashBased)
+            }
+        }),
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Fallback-Used': 'false',
+            'X-Algorithm': keypairResult.algorithm
+        }
+    };
+}
@@ -0,0 +1,520 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const PostQuantumCrypto = require('./crypto-utils');
+const ApiKeyRegistry = require('./api-keys');
+
+/**
+ * Stores vault records as one JSON file per key ID
+ * For self-hosted deployments with a persistent disk, and for tests
+ */
+class FileKeyStore {
+    /**
+     * @param {string} directory - Directory holding the records; created on first write
+     */
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    /**
+     * Path of the record for a key ID
+     * @param {string} keyId - Key ID
+     * @returns {string} Record path
+     */
+    recordPath(keyId) {
+        if (typeof keyId !== 'string' || !/^[0-9a-f]{32}$/.test(keyId)) {
+            const error = new Error('Key IDs are 32 lowercase hex characters');
+            error.code = KeyVault.ERROR_CODES.INVALID_INPUT;
+            throw error;
+        }
+        return path.join(this.directory, `${keyId}.json`);
+    }
+
+    /**
+     * Read a record
+     * @param {string} keyId - Key ID
+     * @returns {Promise<Object|null>} Record, or null when there is none
+     */
+    async get(keyId) {
+        try {
+            return JSON.parse(await fs.readFile(this.recordPath(keyId), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Write a new record; existing records are never overwritten
+     * @param {Object} record - Vault record
+     * @returns {Promise<void>}
+     */
+    async put(record) {
+        const target = this.recordPath(record.keyId);
+        await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+        // Written to a temporary file and linked into place, so readers never see a partial
+        // record and two writers of one key ID cannot both succeed
+        const temporary = `${target}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(record, null, 2), { mode: 0o600, flag: 'wx' });
+        try {
+            await fs.link(temporary, target);
+        } catch (error) {
+            if (error.code === 'EEXIST') {
+                const existsError = new Error(`Key ${record.keyId} is already in the vault`);
+                existsError.code = KeyVault.ERROR_CODES.KEY_EXISTS;
+                throw existsError;
+            }
+            throw error;
+        } finally {
+            await fs.unlink(temporary).catch(() => {});
+        }
+    }
+
+    /**
+     * Read every record
+     * @returns {Promise<Array<Object>>} Records
+     */
+    async list() {
+        let names;
+        try {
+            names = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+
+        const records = [];
+        for (const name of names.filter(name => /^[0-9a-f]{32}\.json$/.test(name)).sort()) {
+            const record = await this.get(name.slice(0, -'.json'.length));
+            if (record) {
+                records.push(record);
+            }
+        }
+        return records;
+    }
+}
+
+/**
+ * Wraps private keys with AES-256-GCM under a master key held by the service
+ */
+class LocalKeyWrapper {
+    /**
+     * @param {Buffer} masterKey - Master key of at least 32 bytes
+     */
+    constructor(masterKey) {
+        if (!Buffer.isBuffer(masterKey) || masterKey.length < KeyVault.MIN_MASTER_KEY_LENGTH) {
+            const error = new Error(`The vault master key must be at least ${KeyVault.MIN_MASTER_KEY_LENGTH} bytes`);
+            error.code = KeyVault.ERROR_CODES.VAULT_NOT_CONFIGURED;
+            throw error;
+        }
+
+        this.wrappingKey = Buffer.from(crypto.hkdfSync('sha256', masterKey, Buffer.alloc(0), 'PQLS-VAULT-KEK', 32));
+        this.kek = `local:${crypto.createHmac('sha256', masterKey).update('PQLS-VAULT-KEK-ID').digest('hex').slice(0, 16)}`;
+    }
+
+    /**
+     * @param {Buffer} plaintext - Private key bytes
+     * @param {Buffer} aad - Associated data binding the record header
+     * @returns {Promise<Object>} Wrapped key fields
+     */
+    async wrap(plaintext, aad) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.wrappingKey, iv);
+        cipher.setAAD(aad);
+        const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+        return {
+            kek: this.kek,
+            ciphertext: ciphertext.toString('base64'),
+            iv: iv.toString('base64'),
+            authTag: cipher.getAuthTag().toString('base64')
+        };
+    }
+
+    /**
+     * @param {Object} wrapped - Wrapped key fields
+     * @param {Buffer} aad - Associated data binding the record header
+     * @returns {Promise<Buffer>} Private key bytes
+     */
+    async unwrap(wrapped, aad) {
+        if (wrapped.kek !== this.kek) {
+            throw new Error(`Key was wrapped under ${wrapped.kek}, not the configured master key ${this.kek}`);
+        }
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', this.wrappingKey, Buffer.from(wrapped.iv, 'base64'));
+        decipher.setAAD(aad);
+        decipher.setAuthTag(Buffer.from(wrapped.authTag, 'base64'));
+        return Buffer.concat([decipher.update(Buffer.from(wrapped.ciphertext, 'base64')), decipher.final()]);
+    }
+}
+
+/**
+ * Wraps private keys with an external key management service, so the master key never
+ * enters the function. The client is any object with
+ *   encrypt({ keyName, plaintext, aad }) -> { ciphertext }
+ *   decrypt({ keyName, ciphertext, aad }) -> { plaintext }
+ * taking and returning Buffers, which is a thin adapter over the cloud KMS SDKs
+ */
+class KmsKeyWrapper {
+    /**
+     * @param {Object} client - KMS client adapter
+     * @param {Object} options - Wrapper options
+     * @param {string} options.keyName - Name or ARN of the KMS key
+     */
+    constructor(client, { keyName } = {}) {
+        if (!client || typeof client.encrypt !== 'function' || typeof client.decrypt !== 'function' || !keyName) {
+            const error = new Error('A KMS wrapper needs a client with encrypt() and decrypt() and a keyName');
+            error.code = KeyVault.ERROR_CODES.VAULT_NOT_CONFIGURED;
+            throw error;
+        }
+        this.client = client;
+        this.keyName = keyName;
+        this.kek = `kms:${keyName}`;
+    }
+
+    /**
+     * @param {Buffer} plaintext - Private key bytes
+     * @param {Buffer} aad - Associated data binding the record header
+     * @returns {Promise<Object>} Wrapped key fields
+     */
+    async wrap(plaintext, aad) {
+        const { ciphertext } = await this.client.encrypt({ keyName: this.keyName, plaintext, aad });
+        return {
+            kek: this.kek,
+            ciphertext: Buffer.from(ciphertext).toString('base64')
+        };
+    }
+
+    /**
+     * @param {Object} wrapped - Wrapped key fields
+     * @param {Buffer} aad - Associated data binding the record header
+     * @returns {Promise<Buffer>} Private key bytes
+     */
+    async unwrap(wrapped, aad) {
+        if (wrapped.kek !== this.kek) {
+            throw new Error(`Key was wrapped under ${wrapped.kek}, not the configured KMS key ${this.kek}`);
+        }
+
+        const { plaintext } = await this.client.decrypt({
+            keyName: this.keyName,
+            ciphertext: Buffer.from(wrapped.ciphertext, 'base64'),
+            aad
+        });
+        return Buffer.from(plaintext);
+    }
+}
+
+// Backend factories by name; each returns { store, wrapper } for the given environment
+const VAULT_BACKENDS = new Map([
+    ['local', (env) => {
+        if (!env.PQLS_VAULT_DIR || !env.PQLS_VAULT_MASTER_KEY) {
+            const error = new Error('The local key vault needs PQLS_VAULT_DIR and PQLS_VAULT_MASTER_KEY');
+            error.code = KeyVault.ERROR_CODES.VAULT_NOT_CONFIGURED;
+            throw error;
+        }
+        return {
+            store: new FileKeyStore(env.PQLS_VAULT_DIR),
+            wrapper: new LocalKeyWrapper(Buffer.from(env.PQLS_VAULT_MASTER_KEY, 'base64'))
+        };
+    }]
+]);
+
+/**
+ * Server-side key vault
+ * ML-KEM and hybrid private keys are generated or imported into the vault, wrapped under a
+ * master key and referred to by key ID, so callers never hold or send the key material.
+ * Each key belongs to the API key that created it; other callers cannot use it unless they
+ * hold the admin scope.
+ */
+class KeyVault {
+    static ERROR_CODES = {
+        VAULT_NOT_CONFIGURED: 'VAULT_NOT_CONFIGURED',
+        BACKEND_NOT_SUPPORTED: 'VAULT_BACKEND_NOT_SUPPORTED',
+        KEY_NOT_FOUND: 'KEY_NOT_FOUND',
+        KEY_EXISTS: 'KEY_EXISTS',
+        INVALID_INPUT: 'VAULT_INVALID_INPUT',
+        UNWRAP_FAILED: 'KEY_UNWRAP_FAILED',
+        ACCESS_DENIED: 'KEY_ACCESS_DENIED'
+    };
+
+    static RECORD_VERSION = 'pq-vault-v1';
+
+    static MIN_MASTER_KEY_LENGTH = 32;
+
+    static MAX_LABEL_LENGTH = 128;
+
+    /**
+     * @param {Object} backend - Record store and key wrapper
+     * @param {Object} backend.store - Object with get(keyId), put(record) and list()
+     * @param {Object} backend.wrapper - Object with a kek name, wrap(plaintext, aad) and unwrap(wrapped, aad)
+     */
+    constructor({ store, wrapper }) {
+        this.store = store;
+        this.wrapper = wrapper;
+        this.pqCrypto = new PostQuantumCrypto();
+    }
+
+    /**
+     * Register a vault backend, e.g. a KMS wrapper with a cloud record store
+     * @param {string} name - Backend name used in PQLS_VAULT_BACKEND
+     * @param {Function} factory - Called with the environment; returns { store, wrapper }
+     */
+    static registerBackend(name, factory) {
+        if (!name || typeof name !== 'string' || typeof factory !== 'function') {
+            const error = new Error('Backend registration requires a name and a factory function');
+            error.code = KeyVault.ERROR_CODES.INVALID_INPUT;
+            throw error;
+        }
+        VAULT_BACKENDS.set(name, factory);
+    }
+
+    /**
+     * Names of the registered vault backends
+     * @returns {Array<string>} Backend names
+     */
+    static getBackendNames() {
+        return Array.from(VAULT_BACKENDS.keys());
+    }
+
+    /**
+     * Open the vault configured by PQLS_VAULT_BACKEND (default local)
+     * @param {Object} [env] - Environment variables
+     * @returns {KeyVault} Vault
+     */
+    static fromEnvironment(env = process.env) {
+        const name = env.PQLS_VAULT_BACKEND || 'local';
+        const factory = VAULT_BACKENDS.get(name);
+        if (!factory) {
+            const error = new Error(`Unknown key vault backend: ${name}. Registered backends: ${KeyVault.getBackendNames().join(', ')}`);
+            error.code = KeyVault.ERROR_CODES.BACKEND_NOT_SUPPORTED;
+            throw error;
+        }
+        return new KeyVault(factory(env));
+    }
+
+    /**
+     * Associated data for wrapping a key, binding it to its record
+     * The key ID is a hash of the public key, so the public half is bound as well. The owner
+     * is bound too, so moving a record to another owner in the store makes it unusable;
+     * records from before owners were recorded have none.
+     * @param {Object} record - Record header fields
+     * @returns {Buffer} Associated data
+     */
+    static buildAssociatedData({ version, keyId, algorithm, owner }) {
+        const fields = ['PQLS-VAULT', version, keyId, algorithm];
+        return Buffer.from(JSON.stringify(owner ? [...fields, owner] : fields), 'utf8');
+    }
+
+    /**
+     * Owner recorded for keys an authenticated caller creates
+     * Registry keys are owned by their name, which stays the same when the key is rotated;
+     * signing clients and PQLS_API_KEY by their key ID.
+     * @param {Object} principal - Principal from RequestAuth.authenticate()
+     * @returns {string} Owner
+     */
+    static ownerOf(principal) {
+        return principal.tenant || principal.keyId;
+    }
+
+    /**
+     * Check that a caller may use a vault key
+     * @param {Object} record - Vault record
+     * @param {Object} [principal] - Caller; omitted for in-process callers such as scripts
+     * @throws {Error} ACCESS_DENIED when the key belongs to someone else
+     */
+    static checkOwner(record, principal) {
+        if (!principal || principal.scopes.includes(ApiKeyRegistry.ADMIN_SCOPE)) {
+            return;
+        }
+        // Keys without an owner predate ownership and are left to admin keys
+        if (!record.owner || record.owner !== KeyVault.ownerOf(principal)) {
+            const error = new Error(`Key ${record.keyId} belongs to another API key`);
+            error.code = KeyVault.ERROR_CODES.ACCESS_DENIED;
+            throw error;
+        }
+    }
+
+    /**
+     * Public view of a record
+     * @param {Object} record - Vault record
+     * @returns {Object} Key ID, algorithm, public key, fingerprint, label, kek and creation time
+     */
+    static describe(record) {
+        return {
+            keyId: record.keyId,
+            algorithm: record.algorithm,
+            securityLevel: record.securityLevel,
+            publicKey: record.publicKey,
+            fingerprint: record.fingerprint,
+            label: record.label || null,
+            owner: record.owner || null,
+            kek: record.wrappedKey.kek,
+            createdAt: record.createdAt
+        };
+    }
+
+    /**
+     * Generate a keypair inside the vault
+     * @param {Object} [options] - Generation options
+     * @param {string} [options.securityLevel] - 'standard' or 'high'
+     * @param {boolean} [options.hybrid] - Generate a hybrid X25519/X448 + ML-KEM keypair
+     * @param {string} [options.label] - Free-text label, e.g. the site it belongs to
+     * @param {string} [options.owner] - Owner, see ownerOf()
+     * @returns {Promise<Object>} Public description of the new key
+     */
+    async generateKey({ securityLevel = 'standard', hybrid = false, label, owner } = {}) {
+        await this.pqCrypto.ensureInitialized();
+
+        const keypair = await this.pqCrypto.generateKeypair(securityLevel, { hybrid: hybrid });
+        return this.importKey({ privateKey: keypair.privateKey, algorithm: keypair.algorithm, label, owner });
+    }
+
+    /**
+     * Move an existing private key into the vault
+     * @param {Object} key - Key to import
+     * @param {string} key.privateKey - Base64 ML-KEM or hybrid private key
+     * @param {string} key.algorithm - KEM algorithm
+     * @param {string} [key.label] - Free-text label
+     * @param {string} [key.owner] - Owner, see ownerOf()
+     * @returns {Promise<Object>} Public description of the key
+     */
+    async importKey({ privateKey, algorithm, label, owner } = {}) {
+        if (typeof privateKey !== 'string' || !privateKey || typeof algorithm !== 'string' || !algorithm) {
+            const error = new Error('A base64 privateKey and its algorithm are required');
+            error.code = KeyVault.ERROR_CODES.INVALID_INPUT;
+            throw error;
+        }
+
+        if (label !== undefined && (typeof label !== 'string' || label.length > KeyVault.MAX_LABEL_LENGTH)) {
+            const error = new Error(`Label must be a string of at most ${KeyVault.MAX_LABEL_LENGTH} characters`);
+            error.code = KeyVault.ERROR_CODES.INVALID_INPUT;
+            throw error;
+        }
+
+        // Only keys whose public half can be recovered are accepted, so every record's key ID is verifiable
+        const secret = Buffer.from(privateKey, 'base64');
+        const publicKey = this.pqCrypto.derivePublicKey(algorithm, secret);
+        if (!publicKey) {
+            secret.fill(0);
+            const error = new Error(`Not a ${algorithm} private key; the vault holds ML-KEM and hybrid keys`);
+            error.code = KeyVault.ERROR_CODES.INVALID_INPUT;
+            throw error;
+        }
+
+        const header = {
+            version: KeyVault.RECORD_VERSION,
+            keyId: PostQuantumCrypto.computeKeyId(publicKey),
+            algorithm: algorithm,
+            ...(owner ? { owner } : {})
+        };
+
+        let wrappedKey;
+        try {
+            wrappedKey = await this.wrapper.wrap(secret, KeyVault.buildAssociatedData(header));
+        } finally {
+            secret.fill(0);
+        }
+
+        const record = {
+            ...header,
+            securityLevel: this.pqCrypto.getSecurityLevel(algorithm),
+            publicKey: publicKey.toString('base64'),
+            fingerprint: PostQuantumCrypto.computeFingerprint(publicKey),
+            ...(label ? { label } : {}),
+            wrappedKey: wrappedKey,
+            createdAt: new Date().toISOString()
+        };
+        await this.store.put(record);
+
+        console.log(`Stored key ${record.keyId} (${algorithm}) in the vault under ${wrappedKey.kek}`);
+        return KeyVault.describe(record);
+    }
+
+    /**
+     * Read a vault record
+     * @param {string} keyId - Key ID
+     * @param {Object} [principal] - Caller, see checkOwner()
+     * @returns {Promise<Object>} Vault record
+     * @throws {Error} KEY_NOT_FOUND when the vault has no such key, ACCESS_DENIED when it is not the caller's
+     */
+    async getRecord(keyId, principal) {
+        const record = await this.store.get(keyId);
+        if (!record) {
+            const error = new Error(`Key ${keyId} is not in the vault`);
+            error.code = KeyVault.ERROR_CODES.KEY_NOT_FOUND;
+            throw error;
+        }
+        KeyVault.checkOwner(record, principal);
+        return record;
+    }
+
+    /**
+     * Public description of a vault key
+     * @param {string} keyId - Key ID
+     * @param {Object} [principal] - Caller, see checkOwner()
+     * @returns {Promise<Object>} Public description
+     */
+    async getKey(keyId, principal) {
+        return KeyVault.describe(await this.getRecord(keyId, principal));
+    }
+
+    /**
+     * Public descriptions of the vault keys a caller may use
+     * @param {Object} [principal] - Caller, see checkOwner(); omitted lists every key
+     * @returns {Promise<Array<Object>>} Public descriptions
+     */
+    async listKeys(principal) {
+        const usable = (record) => {
+            try {
+                KeyVault.checkOwner(record, principal);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        };
+        return (await this.store.list()).filter(usable).map(record => KeyVault.describe(record));
+    }
+
+    /**
+     * Unwrap a private key for use inside this process; never return it to a caller
+     * @param {string} keyId - Key ID
+     * @param {Object} [principal] - Caller, see checkOwner()
+     * @returns {Promise<string>} Base64 private key
+     * @throws {Error} KEY_NOT_FOUND, ACCESS_DENIED, or UNWRAP_FAILED when the record or master key is wrong
+     */
+    async loadPrivateKey(keyId, principal) {
+        const record = await this.getRecord(keyId, principal);
+
+        let secret;
+        try {
+            secret = await this.wrapper.unwrap(record.wrappedKey, KeyVault.buildAssociatedData(record));
+        } catch (unwrapError) {
+            const error = new Error(`Key ${keyId} could not be unwrapped: ${unwrapError.message}`);
+            error.code = KeyVault.ERROR_CODES.UNWRAP_FAILED;
+            throw error;
+        }
+
+        // A record whose key ID does not match its key has been swapped or altered
+        const publicKey = this.pqCrypto.derivePublicKey(record.algorithm, secret);
+        if (!publicKey || PostQuantumCrypto.computeKeyId(publicKey) !== keyId) {
+            secret.fill(0);
+            const error = new Error(`Key ${keyId} in the vault does not match its key ID`);
+            error.code = KeyVault.ERROR_CODES.UNWRAP_FAILED;
+            throw error;
+        }
+
+        const privateKey = secret.toString('base64');
+        secret.fill(0);
+        return privateKey;
+    }
+}
+
+module.exports = KeyVault;
+module.exports.FileKeyStore = FileKeyStore;
+module.exports.LocalKeyWrapper = LocalKeyWrapper;
+module.exports.KmsKeyWrapper = KmsKeyWrapper;
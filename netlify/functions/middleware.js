@@ -0,0 +1,546 @@
+const crypto = require('crypto');
+const PostQuantumCrypto = require('./crypto-utils');
+const RequestAuth = require('./request-auth');
+const RateLimiter = require('./rate-limit');
+
+// Codes for error responses that do not carry a more specific one
+const STATUS_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    429: 'TOO_MANY_REQUESTS',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+/**
+ * Middleware pipeline shared by the Netlify functions
+ * A function is declared as a handler plus options, and the pipeline takes care of the rest:
+ * request IDs, timing, CORS, the method check, a body size limit, authentication, rate limits,
+ * JSON parsing, schema validation and a uniform error envelope. Middleware has the signature
+ * async (request, next) => response, so functions can add their own with options.middleware.
+ */
+class Middleware {
+    static ERROR_CODES = {
+        METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+        PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+        INVALID_JSON: 'INVALID_JSON',
+        VALIDATION_FAILED: 'VALIDATION_FAILED',
+        INTERNAL_ERROR: 'INTERNAL_ERROR'
+    };
+
+    static DEFAULT_BODY_LIMIT = 1024 * 1024;
+
+    // Error codes that mean the service, not the request, is at fault
+    static DEFAULT_ERROR_STATUS = {
+        [PostQuantumCrypto.ERROR_CODES.LIBRARY_LOAD_FAILED]: 503,
+        [PostQuantumCrypto.ERROR_CODES.LIBRARY_NOT_INITIALIZED]: 503,
+        [PostQuantumCrypto.PostQuantumSignature.ERROR_CODES.LIBRARY_LOAD_FAILED]: 503
+    };
+
+    static REQUEST_ID_HEADER = 'X-Request-Id';
+
+    static CORS_ALLOW_HEADERS = [
+        'Content-Type',
+        'Authorization',
+        'X-Request-Id',
+        ...Object.values(RequestAuth.HEADERS)
+    ];
+
+    static CORS_EXPOSE_HEADERS = [
+        'X-Request-Id',
+        'Server-Timing',
+        ...Object.values(RateLimiter.HEADERS)
+    ];
+
+    /**
+     * Build a Netlify handler from a function handler and its options
+     * @param {Object} options - Function options
+     * @param {Array<string>} options.methods - Accepted HTTP methods
+     * @param {Object} options.auth - Endpoint and scopes, as for RequestAuth.guard()
+     * @param {Function} [options.operation] - Maps a request to a rate-limited operation name
+     * @param {Object} [options.cors] - CORS settings, e.g. { origins: ['*'] }
+     * @param {number} [options.bodyLimit] - Largest accepted body in bytes
+     * @param {boolean} [options.json] - Parse the body as JSON (default true)
+     * @param {Object} [options.schema] - Body schema, see validate()
+     * @param {string} [options.errorMessage] - Message for errors thrown by the handler
+     * @param {Object} [options.errors] - HTTP status for each error code the handler may throw
+     * @param {number} [options.errorStatus] - HTTP status for other errors with a code (default 500)
+     * @param {Array<Function>} [options.middleware] - Extra middleware, run just before the handler
+     * @param {Function} handler - async (request) => response
+     * @returns {Function} Netlify function handler
+     */
+    static createHandler(options, handler) {
+        const pipeline = Middleware.compose([
+            Middleware.requestId(),
+            Middleware.timing(),
+            Middleware.cors({ methods: options.methods, ...options.cors }),
+            Middleware.errorEnvelope({
+                errorMessage: options.errorMessage,
+                errors: options.errors,
+                errorStatus: options.errorStatus
+            }),
+            Middleware.allowMethods(options.methods),
+            Middleware.bodyLimit(options.bodyLimit),
+            Middleware.rateLimit(options.auth, null, 'ip'),
+            Middleware.authenticate(options.auth),
+            Middleware.rateLimit(options.auth, options.operation, 'key'),
+            Middleware.parseJson(options.json),
+            Middleware.validate(options.schema),
+            ...(options.middleware || [])
+        ], handler);
+
+        return (event, context) => pipeline(Middleware.createRequest(event, context));
+    }
+
+    /**
+     * Chain middleware in front of a handler
+     * @param {Array<Function>} middlewares - async (request, next) => response
+     * @param {Function} handler - async (request) => response
+     * @returns {Function} async (request) => response
+     */
+    static compose(middlewares, handler) {
+        return (request) => {
+            const dispatch = async (index) => index < middlewares.length ?
+                middlewares[index](request, () => dispatch(index + 1)) :
+                handler(request);
+            return dispatch(0);
+        };
+    }
+
+    /**
+     * Request object passed through the pipeline
+     * @param {Object} event - Netlify function event
+     * @param {Object} [context] - Netlify function context
+     * @returns {Object} Request with the event, lower-cased headers, query, raw body and later the parsed body and auth
+     */
+    static createRequest(event, context) {
+        const source = event || {};
+        const headers = {};
+        for (const [name, value] of Object.entries(source.headers || {})) {
+            headers[name.toLowerCase()] = value;
+        }
+
+        return {
+            event: source,
+            context: context,
+            method: source.httpMethod,
+            headers: headers,
+            query: source.queryStringParameters || {},
+            rawBody: source.body ? Buffer.from(source.body, source.isBase64Encoded ? 'base64' : 'utf8') : Buffer.alloc(0),
+            body: undefined,
+            auth: null,
+            id: null,
+            startTime: process.hrtime.bigint()
+        };
+    }
+
+    /**
+     * Create an error that the pipeline turns into a response
+     * @param {number} statusCode - HTTP status
+     * @param {string} message - Error message, returned as `error`
+     * @param {Object} [properties] - code, details, headers and further body fields
+     * @returns {Error} Error
+     */
+    static httpError(statusCode, message, properties = {}) {
+        const { headers, ...fields } = properties;
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        error.code = fields.code || STATUS_ERROR_CODES[statusCode];
+        error.fields = fields;
+        error.headers = headers;
+        return error;
+    }
+
+    /**
+     * Create a validation error for one field, for checks a schema cannot express
+     * @param {string} field - Body or query field name
+     * @param {string} message - Error message, returned as `error`
+     * @param {Object} [properties] - Further body fields, such as the accepted values
+     * @returns {Error} Error
+     */
+    static invalidField(field, message, properties = {}) {
+        return Middleware.httpError(400, message, {
+            ...properties,
+            code: Middleware.ERROR_CODES.VALIDATION_FAILED,
+            field: field
+        });
+    }
+
+    /**
+     * Take the request ID from the caller or Netlify, or make one, and echo it back
+     * @returns {Function} Middleware
+     */
+    static requestId() {
+        return async (request, next) => {
+            const supplied = request.headers['x-request-id'] || request.headers['x-nf-request-id'];
+            request.id = typeof supplied === 'string' && /^[A-Za-z0-9._:-]{1,128}$/.test(supplied) ? supplied : crypto.randomUUID();
+
+            const response = await next();
+            return Middleware.withHeaders(response, { [Middleware.REQUEST_ID_HEADER]: request.id });
+        };
+    }
+
+    /**
+     * Report how long the request took in a Server-Timing header
+     * @returns {Function} Middleware
+     */
+    static timing() {
+        return async (request, next) => {
+            const response = await next();
+            const durationMs = Number(process.hrtime.bigint() - request.startTime) / 1000000;
+            return Middleware.withHeaders(response, { 'Server-Timing': `total;dur=${durationMs.toFixed(1)}` });
+        };
+    }
+
+    /**
+     * Answer preflight requests and add CORS headers for the allowed origins
+     * PQLS_CORS_ORIGINS (comma-separated, or *) sets the origins for every function; without it
+     * only functions that list origins of their own send CORS headers.
+     * @param {Object} [options] - CORS settings
+     * @param {Array<string>} [options.origins] - Allowed origins
+     * @param {Array<string>} [options.methods] - Methods to allow
+     * @returns {Function} Middleware
+     */
+    static cors({ origins = [], methods = [] } = {}) {
+        return async (request, next) => {
+            const allowed = process.env.PQLS_CORS_ORIGINS ?
+                process.env.PQLS_CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean) :
+                origins;
+            if (allowed.length === 0) {
+                return next();
+            }
+
+            const origin = request.headers.origin;
+            const corsHeaders = allowed.includes('*') ?
+                { 'Access-Control-Allow-Origin': '*' } :
+                (origin && allowed.includes(origin) ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' } : {});
+
+            if (request.method === 'OPTIONS') {
+                return {
+                    statusCode: 204,
+                    body: '',
+                    headers: {
+                        ...corsHeaders,
+                        'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+                        'Access-Control-Allow-Headers': Middleware.CORS_ALLOW_HEADERS.join(', '),
+                        'Access-Control-Max-Age': '600'
+                    }
+                };
+            }
+
+            const response = await next();
+            return Middleware.withHeaders(response, {
+                ...corsHeaders,
+                ...(corsHeaders['Access-Control-Allow-Origin'] ?
+                    { 'Access-Control-Expose-Headers': Middleware.CORS_EXPOSE_HEADERS.join(', ') } : {})
+            });
+        };
+    }
+
+    /**
+     * Turn thrown errors into responses, and give every error response the same shape:
+     * { error, code, details?, requestId, ... } with a JSON content type
+     * @param {Object} [options] - Error settings
+     * @param {string} [options.errorMessage] - Message for errors thrown by the handler
+     * @param {Object} [options.errors] - HTTP status for each error code
+     * @param {number} [options.errorStatus] - HTTP status for other errors with a code
+     * @returns {Function} Middleware
+     */
+    static errorEnvelope({ errorMessage, errors = {}, errorStatus = 500 } = {}) {
+        const statusFor = { ...Middleware.DEFAULT_ERROR_STATUS, ...errors };
+
+        return async (request, next) => {
+            let response;
+            try {
+                response = await next();
+            } catch (error) {
+                response = Middleware.errorResponse(error, { errorMessage, statusFor, errorStatus });
+            }
+
+            const normalized = Middleware.withHeaders(response, {});
+            if (!normalized.headers['Content-Type']) {
+                normalized.headers['Content-Type'] = 'application/json';
+            }
+            if (normalized.statusCode < 400) {
+                return normalized;
+            }
+
+            let body;
+            try {
+                body = JSON.parse(normalized.body);
+            } catch (parseError) {
+                body = null;
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                body = { error: normalized.body || STATUS_ERROR_CODES[normalized.statusCode] || 'Error' };
+            }
+
+            return {
+                ...normalized,
+                headers: { ...normalized.headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...body,
+                    code: body.code || STATUS_ERROR_CODES[normalized.statusCode] || Middleware.ERROR_CODES.INTERNAL_ERROR,
+                    requestId: request.id
+                })
+            };
+        };
+    }
+
+    /**
+     * Response for a thrown error
+     * Errors from httpError() keep their status and fields. Other errors with a code get the
+     * status configured for it (errorStatus otherwise), report their message as details and
+     * keep any `fields` set on them; errors without a code are unexpected, and their message
+     * is only logged.
+     * @param {Error} error - Thrown error
+     * @param {Object} options - errorMessage, statusFor and errorStatus
+     * @returns {Object} Netlify function response
+     */
+    static errorResponse(error, { errorMessage, statusFor, errorStatus }) {
+        if (error && error.statusCode) {
+            return {
+                statusCode: error.statusCode,
+                body: JSON.stringify({ error: error.message, ...error.fields, code: error.code }),
+                headers: { 'Content-Type': 'application/json', ...error.headers }
+            };
+        }
+
+        if (error && error.code && typeof error.code === 'string') {
+            const statusCode = statusFor[error.code] || errorStatus;
+            if (statusCode >= 500) {
+                console.error(`${errorMessage || 'Request failed'}:`, error.message, error.code);
+            }
+            return {
+                statusCode: statusCode,
+                body: JSON.stringify({
+                    error: errorMessage || error.message,
+                    details: error.message,
+                    ...error.fields,
+                    code: error.code
+                }),
+                headers: { 'Content-Type': 'application/json' }
+            };
+        }
+
+        console.error('Unexpected error:', error);
+        return {
+            statusCode: 500,
+            body: JSON.stringify({
+                error: errorMessage || 'Internal Server Error',
+                code: Middleware.ERROR_CODES.INTERNAL_ERROR
+            }),
+            headers: { 'Content-Type': 'application/json' }
+        };
+    }
+
+    /**
+     * Refuse methods the function does not handle
+     * @param {Array<string>} methods - Accepted methods
+     * @returns {Function} Middleware
+     */
+    static allowMethods(methods) {
+        return async (request, next) => {
+            if (!methods.includes(request.method)) {
+                throw Middleware.httpError(405, 'Method Not Allowed', {
+                    code: Middleware.ERROR_CODES.METHOD_NOT_ALLOWED,
+                    details: `Use ${methods.join(' or ')}`,
+                    headers: { 'Allow': methods.join(', ') }
+                });
+            }
+            return next();
+        };
+    }
+
+    /**
+     * Refuse bodies over a size limit, before anything reads them
+     * @param {number} [limit] - Largest accepted body in bytes
+     * @returns {Function} Middleware
+     */
+    static bodyLimit(limit = Middleware.DEFAULT_BODY_LIMIT) {
+        return async (request, next) => {
+            if (request.rawBody.length > limit) {
+                throw Middleware.httpError(413, 'Request body too large', {
+                    code: Middleware.ERROR_CODES.PAYLOAD_TOO_LARGE,
+                    details: `The limit is ${limit} bytes; received ${request.rawBody.length}`
+                });
+            }
+            return next();
+        };
+    }
+
+    /**
+     * Authenticate the request and check its scopes; the principal becomes request.auth
+     * @param {Object} auth - Endpoint and scopes
+     * @returns {Function} Middleware
+     */
+    static authenticate(auth) {
+        return async (request, next) => {
+            const denied = await RequestAuth.guard(request.event, auth);
+            if (denied) {
+                return denied;
+            }
+            request.auth = request.event.auth;
+            return next();
+        };
+    }
+
+    /**
+     * Apply the rate limits and quotas of the endpoint
+     * @param {Object} auth - Endpoint, as for RateLimiter.guard()
+     * @param {Function} [operation] - Maps a request to an operation with its own limits
+     * @param {string} [stage] - 'ip' before authentication, 'key' after it; see RateLimiter.check()
+     * @returns {Function} Middleware
+     */
+    static rateLimit(auth, operation, stage) {
+        return async (request, next) => {
+            const limited = await RateLimiter.guard(request.event, {
+                ...auth,
+                operation: operation ? operation(request) : undefined,
+                stage: stage
+            });
+            return limited || next();
+        };
+    }
+
+    /**
+     * Parse JSON bodies into request.body; an empty body is an empty object
+     * Requests without a body (GET, HEAD) and functions with json: false are left alone.
+     * @param {boolean} [enabled] - Parse bodies (default true)
+     * @returns {Function} Middleware
+     */
+    static parseJson(enabled = true) {
+        return async (request, next) => {
+            if (!enabled || request.method === 'GET' || request.method === 'HEAD') {
+                return next();
+            }
+
+            if (request.rawBody.length === 0) {
+                request.body = {};
+                return next();
+            }
+
+            try {
+                request.body = JSON.parse(request.rawBody.toString('utf8'));
+            } catch (parseError) {
+                throw Middleware.httpError(400, 'Invalid JSON in request body', {
+                    code: Middleware.ERROR_CODES.INVALID_JSON,
+                    details: parseError.message
+                });
+            }
+            if (request.body === null) {
+                request.body = {};
+            }
+            return next();
+        };
+    }
+
+    /**
+     * Check the parsed body against a schema
+     * A schema maps field names to rules: type (a type name or a list of them: string, number,
+     * integer, boolean, object, array), required, requiredWithout (required unless the named
+     * field is set), enum (a list, or a function returning one for lists that change at run
+     * time), minLength/maxLength, minItems/maxItems, min/max and message, which replaces the
+     * generated error message (a function gets the value).
+     * @param {Object} [schema] - Field rules
+     * @returns {Function} Middleware
+     */
+    static validate(schema) {
+        return async (request, next) => {
+            if (schema && request.body !== undefined) {
+                Middleware.checkBody(request.body, schema);
+            }
+            return next();
+        };
+    }
+
+    /**
+     * Check a body against a schema, as validate() does
+     * Functions that parse their own bodies (json: false) call this once they have the fields.
+     * @param {Object} body - Request fields
+     * @param {Object} schema - Field rules
+     * @throws {Error} VALIDATION_FAILED naming the first field that fails
+     */
+    static checkBody(body, schema) {
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            throw Middleware.httpError(400, 'Request body must be a JSON object', {
+                code: Middleware.ERROR_CODES.VALIDATION_FAILED
+            });
+        }
+
+        for (const [field, rule] of Object.entries(schema)) {
+            const required = rule.required || (rule.requiredWithout !== undefined &&
+                (body[rule.requiredWithout] === undefined || body[rule.requiredWithout] === null));
+            const problem = Middleware.checkField(body[field], { ...rule, required });
+            if (problem) {
+                const message = typeof rule.message === 'function' ? rule.message(body[field]) : rule.message;
+                throw Middleware.invalidField(field, message || `Invalid ${field} field. ${problem}`);
+            }
+        }
+    }
+
+    /**
+     * Check one value against a schema rule
+     * @param {*} value - Field value
+     * @param {Object} rule - Field rule
+     * @returns {string|null} What is wrong, or null
+     */
+    static checkField(value, rule) {
+        if (value === undefined || value === null) {
+            return rule.required ? 'The field is required.' : null;
+        }
+
+        const types = rule.type ? [].concat(rule.type) : [];
+        const typeOf = Array.isArray(value) ? 'array' : typeof value;
+        const typeMatches = types.length === 0 || types.some(type =>
+            type === typeOf || (type === 'integer' && Number.isInteger(value)));
+        if (!typeMatches) {
+            return `Expected ${types.join(' or ')}.`;
+        }
+
+        const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+        if (allowed && !allowed.includes(value)) {
+            return `Must be one of: ${allowed.join(', ')}.`;
+        }
+        if (typeof value === 'string') {
+            if (value.length < (rule.minLength !== undefined ? rule.minLength : (rule.required ? 1 : 0))) {
+                return rule.minLength ? `Must be at least ${rule.minLength} characters.` : 'Must not be empty.';
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return `Must be at most ${rule.maxLength} characters.`;
+            }
+        }
+        if (Array.isArray(value)) {
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return `Must have at least ${rule.minItems} items.`;
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return `Must have at most ${rule.maxItems} items.`;
+            }
+        }
+        if (typeof value === 'number') {
+            if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+                return `Must be between ${rule.min !== undefined ? rule.min : '-∞'} and ${rule.max !== undefined ? rule.max : '∞'}.`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Copy of a response with headers added
+     * @param {Object} response - Netlify function response
+     * @param {Object} headers - Headers to add; existing ones win
+     * @returns {Object} Response
+     */
+    static withHeaders(response, headers) {
+        const source = response || { statusCode: 500, body: '' };
+        return { ...source, headers: { ...headers, ...source.headers } };
+    }
+}
+
+module.exports = Middleware;
@@ -1,25 +1,43 @@
 const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/monitor', scopes: ['monitor'] };
+exports.auth = AUTH;
+
+// Stress tests have to finish inside the function timeout (15s in netlify.toml)
+const MAX_STRESS_TEST_SECONDS = 10;
+const MAX_STRESS_TEST_CONCURRENCY = 10;
+
+/**
+ * Action a POST request asks for, so expensive ones can be rate limited on their own
+ * Rate limits apply before the body is parsed, so this reads the raw body.
+ * @param {Object} request - Middleware request
+ * @returns {string|undefined} Action, or undefined for GET and unreadable bodies
+ */
+function requestedOperation(request) {
+    if (request.method !== 'POST') {
+        return undefined;
+    }
+    try {
+        return JSON.parse(request.rawBody.toString('utf8') || '{}').action || 'benchmark';
+    } catch (parseError) {
+        return undefined;
+    }
+}
 
 /**
  * Migration and Performance Monitoring Function
  * Provides system performance metrics and migration monitoring capabilities
  */
-exports.handler = async (event, context) => {
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-        'Content-Type': 'application/json'
-    };
-
-    // Handle preflight requests
-    if (event.httpMethod === 'OPTIONS') {
-        return {
-            statusCode: 200,
-            headers,
-            body: ''
-        };
-    }
+exports.handler = Middleware.createHandler({
+    methods: ['GET', 'POST'],
+    auth: AUTH,
+    operation: requestedOperation,
+    // The monitoring dashboard may be served from another origin
+    cors: { origins: ['*'] }
+}, async (request) => {
+    const headers = { 'Content-Type': 'application/json' };
 
     try {
         const startTime = Date.now();
@@ -28,9 +46,8 @@ exports.handler = async (event, context) => {
         // Initialize crypto library
         await crypto.initialize();
         
-        const method = event.httpMethod;
-        const path = event.path;
-        const queryParams = event.queryStringParameters || {};
+        const method = request.method;
+        const queryParams = request.query;
         
         let response;
         
@@ -51,9 +68,9 @@ exports.handler = async (event, context) => {
                 default:
                     throw new Error(`Unknown monitoring action: ${action}`);
             }
-        } else if (method === 'POST') {
+        } else {
             // Handle performance testing requests
-            const body = JSON.parse(event.body || '{}');
+            const body = request.body;
             const action = body.action || 'benchmark';
             
             switch (action) {
@@ -69,8 +86,6 @@ exports.handler = async (event, context) => {
                 default:
                     throw new Error(`Unknown performance action: ${action}`);
             }
-        } else {
-            throw new Error(`Unsupported HTTP method: ${method}`);
         }
         
         const processingTime = Date.now() - startTime;
@@ -101,7 +116,7 @@ exports.handler = async (event, context) => {
             })
         };
     }
-};
+});
 
 /**
  * Get comprehensive system status
@@ -157,7 +172,6 @@ async function getPerformanceMetrics(crypto, params) {
     const testData = 'A'.repeat(1024); // 1KB of test data
     
     for (let i = 0; i < iterations; i++) {
-        const iterationStart = Date.now();
         const memoryBefore = process.memoryUsage();
         
         try {
@@ -345,10 +359,10 @@ async function runPerformanceBenchmark(crypto, params) {
  */
 async function runStressTest(crypto, params) {
     const {
-        duration_seconds = 60,
-        concurrent_operations = 5,
         algorithm = 'standard'
     } = params;
+    const duration_seconds = Math.min(Number(params.duration_seconds) || MAX_STRESS_TEST_SECONDS, MAX_STRESS_TEST_SECONDS);
+    const concurrent_operations = Math.min(Math.max(1, Math.floor(Number(params.concurrent_operations) || 5)), MAX_STRESS_TEST_CONCURRENCY);
     
     const stressTest = {
         timestamp: new Date().toISOString(),
@@ -404,15 +418,21 @@ async function runMigrationTest(crypto, params) {
     const {
         entry_count = 100,
         algorithm = 'standard',
-        verify_integrity = true
+        verify_integrity = true,
+        method = 'rewrap'
     } = params;
     
+    if (!['rewrap', 're-encrypt'].includes(method)) {
+        throw new Error(`Unknown migration method: ${method}. Use rewrap or re-encrypt`);
+    }
+
     const migrationTest = {
         timestamp: new Date().toISOString(),
         parameters: {
             entry_count,
             algorithm,
-            verify_integrity
+            verify_integrity,
+            method
         },
         results: {
             entries_processed: 0,
@@ -439,13 +459,19 @@ async function runMigrationTest(crypto, params) {
             const originalData = `Entry ${i + 1} - Sensitive form data that needs migration`;
             
             // Encrypt with old keys (simulate existing encrypted data)
-            const oldEncrypted = await crypto.encrypt(originalData, oldKeypair.publicKey, oldKeypair.algorithm);
-            
-            // Decrypt with old keys (migration step 1)
-            const decrypted = await crypto.decrypt(oldEncrypted, oldKeypair.privateKey);
+            const oldEncrypted = await crypto.encrypt(originalData, oldKeypair.publicKey, oldKeypair.algorithm, {
+                keyWrap: method === 'rewrap'
+            });
             
-            // Re-encrypt with new keys (migration step 2)
-            const newEncrypted = await crypto.encrypt(decrypted, newKeypair.publicKey, newKeypair.algorithm);
+            let newEncrypted;
+            if (method === 'rewrap') {
+                // Re-wrap only the data key; the payload ciphertext is carried over
+                newEncrypted = await crypto.rewrap(oldEncrypted, oldKeypair.privateKey, newKeypair.publicKey, newKeypair.algorithm);
+            } else {
+                // Decrypt with old keys, then re-encrypt with new keys
+                const decrypted = await crypto.decrypt(oldEncrypted, oldKeypair.privateKey);
+                newEncrypted = await crypto.encrypt(decrypted, newKeypair.publicKey, newKeypair.algorithm);
+            }
             
             // Verify integrity if requested
             if (verify_integrity) {
@@ -0,0 +1,426 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Keeps rate-limit state in memory
+ * Held per function instance, so each instance enforces the limits on its own; deployments
+ * that run many instances can install a shared store with RateLimiter.setStore()
+ */
+class MemoryRateLimitStore {
+    /**
+     * @param {number} [maxEntries] - Entries kept before the oldest are dropped
+     */
+    constructor(maxEntries = 10000) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Replace the value under a key with the result of an update function
+     * @param {string} key - State key
+     * @param {number} ttlMs - Time to keep the new value
+     * @param {Function} updater - Called with the current value (or null), returns the new value
+     * @returns {Promise<*>} New value
+     */
+    async update(key, ttlMs, updater) {
+        const now = Date.now();
+        const entry = this.entries.get(key);
+        const value = updater(entry && entry.expiresAt > now ? entry.value : null);
+
+        // Re-inserted, so the map stays in least-recently-updated order
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            for (const entryKey of this.entries.keys()) {
+                if (this.entries.size < this.maxEntries) {
+                    break;
+                }
+                this.entries.delete(entryKey);
+            }
+        }
+        this.entries.set(key, { value, expiresAt: now + ttlMs });
+        return value;
+    }
+}
+
+/**
+ * Keeps rate-limit state in a JSON file, so limits hold across restarts of a local server
+ * Updates from one process are serialized; processes sharing the file may lose updates to
+ * each other, which only makes the limits looser
+ */
+class FileRateLimitStore {
+    /**
+     * @param {string} filePath - State file; created on first write
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Replace the value under a key with the result of an update function
+     * @param {string} key - State key
+     * @param {number} ttlMs - Time to keep the new value
+     * @param {Function} updater - Called with the current value (or null), returns the new value
+     * @returns {Promise<*>} New value
+     */
+    update(key, ttlMs, updater) {
+        const result = this.queue.then(() => this.applyUpdate(key, ttlMs, updater));
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Read the file, apply one update and write it back
+     * @param {string} key - State key
+     * @param {number} ttlMs - Time to keep the new value
+     * @param {Function} updater - Update function
+     * @returns {Promise<*>} New value
+     */
+    async applyUpdate(key, ttlMs, updater) {
+        let entries = {};
+        try {
+            entries = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+                throw error;
+            }
+        }
+
+        const now = Date.now();
+        for (const [entryKey, entry] of Object.entries(entries)) {
+            if (!entry || entry.expiresAt <= now) {
+                delete entries[entryKey];
+            }
+        }
+
+        const value = updater(entries[key] ? entries[key].value : null);
+        entries[key] = { value, expiresAt: now + ttlMs };
+
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const temporary = `${this.filePath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(entries), { mode: 0o600, flag: 'wx' });
+        try {
+            await fs.rename(temporary, this.filePath);
+        } catch (error) {
+            await fs.unlink(temporary).catch(() => {});
+            throw error;
+        }
+        return value;
+    }
+}
+
+let store = null;
+
+/**
+ * Request rate limits and daily quotas for the Netlify functions
+ * Every request takes a token from a bucket for its API key and one for its client IP, and
+ * counts against its tenant's daily quota; operations such as the monitor stress test can have
+ * buckets of their own. Limits come from RateLimiter.DEFAULT_LIMITS and can be changed per
+ * function and per tenant with the PQLS_RATE_LIMITS environment variable.
+ */
+class RateLimiter {
+    static ERROR_CODES = {
+        RATE_LIMITED: 'RATE_LIMITED',
+        QUOTA_EXCEEDED: 'QUOTA_EXCEEDED',
+        CONFIG_INVALID: 'RATE_LIMIT_CONFIG_INVALID'
+    };
+
+    // Buckets hold `capacity` tokens and regain `refillPerMinute` of them each minute
+    static DEFAULT_LIMITS = {
+        '*': {
+            perKey: { capacity: 60, refillPerMinute: 60 },
+            perIp: { capacity: 120, refillPerMinute: 120 },
+            dailyQuota: 10000
+        },
+        '/encrypt': {
+            perKey: { capacity: 100, refillPerMinute: 100 },
+            perIp: { capacity: 100, refillPerMinute: 100 }
+        },
+        '/encrypt-batch': {
+            perKey: { capacity: 100, refillPerMinute: 100 },
+            perIp: { capacity: 100, refillPerMinute: 100 }
+        },
+        '/encrypt-stream': {
+            perKey: { capacity: 100, refillPerMinute: 100 },
+            perIp: { capacity: 100, refillPerMinute: 100 }
+        },
+        '/generate-keypair': {
+            perKey: { capacity: 10, refillPerMinute: 10 },
+            perIp: { capacity: 10, refillPerMinute: 10 }
+        },
+        '/monitor': {
+            perKey: { capacity: 20, refillPerMinute: 20 },
+            operations: {
+                'stress-test': { capacity: 1, refillPerMinute: 0.2 },
+                'benchmark': { capacity: 5, refillPerMinute: 1 }
+            }
+        }
+    };
+
+    static HEADERS = {
+        LIMIT: 'RateLimit-Limit',
+        REMAINING: 'RateLimit-Remaining',
+        RESET: 'RateLimit-Reset',
+        POLICY: 'RateLimit-Policy',
+        RETRY_AFTER: 'Retry-After'
+    };
+
+    static DAY_MS = 24 * 60 * 60 * 1000;
+
+    /**
+     * Replace the state store, e.g. with one shared between function instances
+     * @param {Object} newStore - Object with async update(key, ttlMs, updater)
+     */
+    static setStore(newStore) {
+        if (!newStore || typeof newStore.update !== 'function') {
+            throw new Error('A rate-limit store needs an update(key, ttlMs, updater) method');
+        }
+        store = newStore;
+    }
+
+    /**
+     * Current state store
+     * PQLS_RATE_LIMIT_FILE selects a file store; otherwise state is kept in memory
+     * @returns {Object} Store
+     */
+    static getStore() {
+        if (!store) {
+            store = process.env.PQLS_RATE_LIMIT_FILE ?
+                new FileRateLimitStore(process.env.PQLS_RATE_LIMIT_FILE) :
+                new MemoryRateLimitStore();
+        }
+        return store;
+    }
+
+    /**
+     * Read PQLS_RATE_LIMITS
+     * e.g. {"functions": {"/encrypt": {"perIp": {"capacity": 20, "refillPerMinute": 20}}},
+     * "tenants": {"wp-site": {"dailyQuota": 50000}}}; {"enabled": false} turns limits off
+     * @returns {Object} Configuration
+     */
+    static getConfiguration() {
+        if (!process.env.PQLS_RATE_LIMITS) {
+            return {};
+        }
+        try {
+            const configuration = JSON.parse(process.env.PQLS_RATE_LIMITS);
+            if (configuration && typeof configuration === 'object') {
+                return configuration;
+            }
+        } catch (parseError) {
+            // Reported below
+        }
+        const error = new Error('PQLS_RATE_LIMITS is not a JSON object');
+        error.code = RateLimiter.ERROR_CODES.CONFIG_INVALID;
+        throw error;
+    }
+
+    /**
+     * Limits for a function and tenant, defaults first and configured values on top
+     * @param {string} endpoint - Endpoint path, e.g. /encrypt
+     * @param {string} [tenant] - Tenant
+     * @returns {Object} perKey, perIp, dailyQuota and operations
+     */
+    static resolveLimits(endpoint, tenant) {
+        const configuration = RateLimiter.getConfiguration();
+        const functions = configuration.functions || {};
+        const layers = [
+            RateLimiter.DEFAULT_LIMITS['*'],
+            RateLimiter.DEFAULT_LIMITS[endpoint],
+            functions['*'],
+            functions[endpoint],
+            tenant && configuration.tenants ? configuration.tenants[tenant] : null
+        ].filter(Boolean);
+
+        const limits = { operations: {} };
+        for (const layer of layers) {
+            for (const name of ['perKey', 'perIp']) {
+                if (layer[name] !== undefined) {
+                    limits[name] = layer[name] && { ...limits[name], ...layer[name] };
+                }
+            }
+            if (layer.dailyQuota !== undefined) {
+                limits.dailyQuota = layer.dailyQuota;
+            }
+            Object.assign(limits.operations, layer.operations);
+        }
+        return limits;
+    }
+
+    /**
+     * Client IP of a request, as reported by Netlify or the nearest proxy
+     * @param {Object} event - Netlify function event
+     * @returns {string} IP address, or 'unknown'
+     */
+    static getClientIp(event) {
+        const headers = {};
+        for (const [name, value] of Object.entries(event.headers || {})) {
+            headers[name.toLowerCase()] = value;
+        }
+        const forwarded = typeof headers['x-forwarded-for'] === 'string' ? headers['x-forwarded-for'].split(',')[0].trim() : '';
+        return headers['x-nf-client-connection-ip'] || forwarded || 'unknown';
+    }
+
+    /**
+     * Take tokens from a bucket
+     * @param {string} key - Bucket key
+     * @param {Object} bucket - Bucket limits
+     * @param {number} bucket.capacity - Tokens the bucket holds
+     * @param {number} bucket.refillPerMinute - Tokens regained each minute
+     * @param {number} [cost] - Tokens to take
+     * @returns {Promise<Object>} allowed, limit, remaining, resetSeconds and retryAfterSeconds
+     */
+    static async takeToken(key, { capacity, refillPerMinute }, cost = 1) {
+        const ratePerMs = refillPerMinute / 60000;
+        // Kept until the bucket would be full again, after which it is no different from a new one
+        const ttlMs = Math.ceil(capacity / ratePerMs);
+        let allowed = false;
+
+        const state = await RateLimiter.getStore().update(key, ttlMs, (current) => {
+            const now = Date.now();
+            const tokens = current ? Math.min(capacity, current.tokens + (now - current.updatedAt) * ratePerMs) : capacity;
+            allowed = tokens >= cost;
+            return { tokens: allowed ? tokens - cost : tokens, updatedAt: now };
+        });
+
+        return {
+            allowed,
+            limit: capacity,
+            remaining: Math.floor(state.tokens),
+            resetSeconds: Math.ceil((capacity - state.tokens) / ratePerMs / 1000),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((cost - state.tokens) / ratePerMs / 1000),
+            policy: `${capacity};w=${Math.round(capacity / refillPerMinute * 60)}`
+        };
+    }
+
+    /**
+     * Count a request against a tenant's quota for the current UTC day
+     * @param {string} tenant - Tenant
+     * @param {number} quota - Requests allowed per day
+     * @returns {Promise<Object>} allowed, limit, remaining, resetSeconds and retryAfterSeconds
+     */
+    static async countQuota(tenant, quota) {
+        const now = Date.now();
+        const dayStart = now - (now % RateLimiter.DAY_MS);
+        const resetSeconds = Math.ceil((dayStart + RateLimiter.DAY_MS - now) / 1000);
+        let allowed = false;
+
+        const used = await RateLimiter.getStore().update(`quota:${tenant}:${dayStart}`, resetSeconds * 1000, (current) => {
+            allowed = (current || 0) < quota;
+            return allowed ? (current || 0) + 1 : current;
+        });
+
+        return {
+            allowed,
+            limit: quota,
+            remaining: Math.max(0, quota - used),
+            resetSeconds,
+            retryAfterSeconds: allowed ? 0 : resetSeconds,
+            policy: `${quota};w=86400`
+        };
+    }
+
+    /**
+     * Check a request against every limit that applies to it
+     * @param {Object} event - Netlify function event, authenticated (event.auth) unless stage is 'ip'
+     * @param {Object} options - Endpoint and request details
+     * @param {string} options.endpoint - Endpoint path, e.g. /encrypt
+     * @param {string} [options.operation] - Operation with its own bucket, e.g. stress-test
+     * @param {string} [options.stage] - 'ip' for the per-IP bucket only, 'key' for the others; both when unset
+     * @returns {Promise<Object|null>} The limit that refused the request, or null
+     */
+    static async check(event, { endpoint, operation, stage }) {
+        const principal = event.auth || {};
+        const keyId = principal.keyId || 'anonymous';
+        // Rotated registry keys keep their name, so a tenant's quota survives a rotation
+        const tenant = principal.tenant || keyId;
+        const limits = RateLimiter.resolveLimits(endpoint, tenant);
+        // The IP bucket is checked before authentication, when the tenant is not known yet
+        const perIp = RateLimiter.resolveLimits(endpoint).perIp;
+
+        const checks = [];
+        if (perIp && stage !== 'key') {
+            checks.push(() => RateLimiter.takeToken(`ip:${endpoint}:${RateLimiter.getClientIp(event)}`, perIp));
+        }
+        if (stage !== 'ip') {
+            if (limits.perKey) {
+                checks.push(() => RateLimiter.takeToken(`key:${endpoint}:${keyId}`, limits.perKey));
+            }
+            if (operation && limits.operations[operation]) {
+                checks.push(() => RateLimiter.takeToken(`operation:${endpoint}:${operation}:${keyId}`, limits.operations[operation]));
+            }
+            // Counted last, so refused requests do not use up the quota
+            if (Number.isFinite(limits.dailyQuota)) {
+                checks.push(async () => ({ ...(await RateLimiter.countQuota(tenant, limits.dailyQuota)), quota: true }));
+            }
+        }
+
+        for (const runCheck of checks) {
+            const result = await runCheck();
+            if (!result.allowed) {
+                return result;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Apply the limits inside a handler
+     * The middleware runs the 'ip' stage before RequestAuth.guard(), so unauthenticated floods
+     * are limited too, and the 'key' stage after it, so the other limits apply per API key. A
+     * store that fails lets requests through rather than taking the service down with it.
+     * @param {Object} event - Netlify function event
+     * @param {Object} options - Endpoint and request details, as for check()
+     * @returns {Promise<Object|null>} 429 response to return, or null when the request may proceed
+     */
+    static async guard(event, options) {
+        let refused;
+        try {
+            if (RateLimiter.getConfiguration().enabled === false) {
+                return null;
+            }
+            refused = await RateLimiter.check(event, options);
+        } catch (error) {
+            if (error.code === RateLimiter.ERROR_CODES.CONFIG_INVALID) {
+                console.error('Configuration Error:', error.message);
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({ error: `Server configuration error: ${error.message}` }),
+                    headers: { 'Content-Type': 'application/json' }
+                };
+            }
+            console.error('Rate limit check failed:', error.message);
+            return null;
+        }
+
+        if (!refused) {
+            return null;
+        }
+
+        const code = refused.quota ? RateLimiter.ERROR_CODES.QUOTA_EXCEEDED : RateLimiter.ERROR_CODES.RATE_LIMITED;
+        return {
+            statusCode: 429,
+            body: JSON.stringify({
+                error: 'Too Many Requests',
+                details: refused.quota ?
+                    `Daily quota of ${refused.limit} requests used up` :
+                    `Rate limit of ${refused.limit} requests exceeded`,
+                code: code,
+                retryAfter: refused.retryAfterSeconds
+            }),
+            headers: {
+                'Content-Type': 'application/json',
+                [RateLimiter.HEADERS.RETRY_AFTER]: String(refused.retryAfterSeconds),
+                [RateLimiter.HEADERS.LIMIT]: String(refused.limit),
+                [RateLimiter.HEADERS.REMAINING]: String(refused.remaining),
+                [RateLimiter.HEADERS.RESET]: String(refused.resetSeconds),
+                [RateLimiter.HEADERS.POLICY]: refused.policy
+            }
+        };
+    }
+}
+
+module.exports = RateLimiter;
+module.exports.MemoryRateLimitStore = MemoryRateLimitStore;
+module.exports.FileRateLimitStore = FileRateLimitStore;
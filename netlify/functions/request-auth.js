@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const ApiKeyRegistry = require('./api-keys');
+
+/**
+ * Remembers nonces until they expire, so a signed request cannot be replayed
+ * Held per function instance; deployments that run many instances can install a shared
+ * cache with RequestAuth.setNonceCache()
+ */
+class MemoryNonceCache {
+    /**
+     * @param {number} [maxEntries] - Nonces kept before the oldest are dropped
+     */
+    constructor(maxEntries = 10000) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    /**
+     * Record a nonce unless it has been seen
+     * @param {string} key - Key ID and nonce
+     * @param {number} ttlMs - Time to remember the nonce
+     * @returns {Promise<boolean>} False when the nonce was already recorded
+     */
+    async add(key, ttlMs) {
+        const now = Date.now();
+        const expiresAt = this.entries.get(key);
+        if (expiresAt !== undefined && expiresAt > now) {
+            return false;
+        }
+
+        if (this.entries.size >= this.maxEntries) {
+            for (const [entry, entryExpiresAt] of this.entries) {
+                if (entryExpiresAt <= now) {
+                    this.entries.delete(entry);
+                }
+            }
+            // Entries are in insertion order, so the oldest go first
+            for (const entry of this.entries.keys()) {
+                if (this.entries.size < this.maxEntries) {
+                    break;
+                }
+                this.entries.delete(entry);
+            }
+        }
+
+        this.entries.set(key, now + ttlMs);
+        return true;
+    }
+}
+
+let nonceCache = new MemoryNonceCache();
+
+/**
+ * Shared request authentication for the Netlify functions
+ * Requests are signed with HMAC-SHA256 over the method, endpoint path, timestamp, nonce and
+ * body hash, with a clock-skew window and a nonce replay cache. Each function declares the
+ * scopes it requires. Keys from the API key registry sign with a secret derived from their
+ * token, which the registry keeps wrapped under its master key; they and the legacy
+ * `Authorization: Bearer <PQLS_API_KEY>` header can also be sent as bearer tokens.
+ */
+class RequestAuth {
+    static ERROR_CODES = {
+        AUTH_NOT_CONFIGURED: 'AUTH_NOT_CONFIGURED',
+        AUTH_REQUIRED: 'AUTH_REQUIRED',
+        UNKNOWN_KEY: 'UNKNOWN_KEY',
+        INVALID_SIGNATURE: 'INVALID_SIGNATURE',
+        STALE_REQUEST: 'STALE_REQUEST',
+        REPLAYED_REQUEST: 'REPLAYED_REQUEST',
+        INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE'
+    };
+
+    static SIGNATURE_ALGORITHM = 'PQLS-HMAC-SHA256';
+
+    static SCOPES = ApiKeyRegistry.SCOPES;
+
+    // Key ID of PQLS_API_KEY, which holds the admin scope
+    static DEFAULT_KEY_ID = 'default';
+
+    static DEFAULT_MAX_SKEW_SECONDS = 300;
+
+    static HEADERS = {
+        KEY_ID: 'x-pqls-key-id',
+        TIMESTAMP: 'x-pqls-timestamp',
+        NONCE: 'x-pqls-nonce',
+        SIGNATURE: 'x-pqls-signature'
+    };
+
+    /**
+     * Replace the nonce replay cache, e.g. with one shared between function instances
+     * @param {Object} cache - Object with async add(key, ttlMs) returning false for a seen key
+     */
+    static setNonceCache(cache) {
+        if (!cache || typeof cache.add !== 'function') {
+            throw new Error('A nonce cache needs an add(key, ttlMs) method');
+        }
+        nonceCache = cache;
+    }
+
+    /**
+     * Accepted clock skew between client and server
+     * @returns {number} Seconds
+     */
+    static getMaxSkewSeconds() {
+        const configured = Number(process.env.PQLS_AUTH_MAX_SKEW);
+        return Number.isInteger(configured) && configured > 0 ? configured : RequestAuth.DEFAULT_MAX_SKEW_SECONDS;
+    }
+
+    /**
+     * Look up the secret and scopes of a key
+     * PQLS_API_KEY is the `default` key; PQLS_API_CLIENTS holds further keys as JSON,
+     * e.g. {"reporting": {"secret": "...", "scopes": ["monitor"]}}
+     * @param {string} keyId - Key ID
+     * @returns {Object|null} Object with keyId, secret and scopes, or null for unknown keys
+     */
+    static resolveKey(keyId) {
+        if (keyId === RequestAuth.DEFAULT_KEY_ID) {
+            return process.env.PQLS_API_KEY ?
+                { keyId: keyId, secret: process.env.PQLS_API_KEY, scopes: [ApiKeyRegistry.ADMIN_SCOPE] } :
+                null;
+        }
+
+        let clients = {};
+        if (process.env.PQLS_API_CLIENTS) {
+            try {
+                clients = JSON.parse(process.env.PQLS_API_CLIENTS);
+            } catch (parseError) {
+                const error = new Error('PQLS_API_CLIENTS is not valid JSON');
+                error.code = RequestAuth.ERROR_CODES.AUTH_NOT_CONFIGURED;
+                throw error;
+            }
+        }
+
+        const client = Object.prototype.hasOwnProperty.call(clients, keyId) ? clients[keyId] : null;
+        if (!client || typeof client.secret !== 'string' || !client.secret) {
+            return null;
+        }
+        return { keyId: keyId, secret: client.secret, scopes: Array.isArray(client.scopes) ? client.scopes : [] };
+    }
+
+    /**
+     * Hex SHA-256 of the raw request body
+     * @param {Object} event - Netlify function event
+     * @returns {string} Body hash
+     */
+    static hashBody(event) {
+        const body = Buffer.from(event.body || '', event.isBase64Encoded ? 'base64' : 'utf8');
+        return crypto.createHash('sha256').update(body).digest('hex');
+    }
+
+    /**
+     * Build the string a request signature covers
+     * @param {Object} params - Signed request fields
+     * @param {string} params.method - HTTP method
+     * @param {string} params.path - Endpoint path, e.g. /encrypt, independent of the URL prefix
+     * @param {string} params.timestamp - Unix time in seconds
+     * @param {string} params.nonce - Unique request nonce
+     * @param {string} params.bodyHash - Hex SHA-256 of the body
+     * @returns {string} Canonical request
+     */
+    static canonicalRequest({ method, path, timestamp, nonce, bodyHash }) {
+        return [RequestAuth.SIGNATURE_ALGORITHM, method.toUpperCase(), path, timestamp, nonce, bodyHash].join('\n');
+    }
+
+    /**
+     * Sign a request; used by clients and tests
+     * @param {Object} params - Request to sign
+     * @param {string} params.keyId - Key ID
+     * @param {string} params.secret - Key secret
+     * @param {string} params.method - HTTP method
+     * @param {string} params.path - Endpoint path, e.g. /encrypt
+     * @param {string} [params.body] - Raw request body
+     * @param {number} [params.timestamp] - Unix time in seconds (default now)
+     * @param {string} [params.nonce] - Nonce (default random)
+     * @returns {Object} Headers to send with the request
+     */
+    static signRequest({ keyId, secret, method, path, body = '', timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString('hex') }) {
+        const canonical = RequestAuth.canonicalRequest({
+            method,
+            path,
+            timestamp: String(timestamp),
+            nonce,
+            bodyHash: RequestAuth.hashBody({ body })
+        });
+
+        return {
+            [RequestAuth.HEADERS.KEY_ID]: keyId,
+            [RequestAuth.HEADERS.TIMESTAMP]: String(timestamp),
+            [RequestAuth.HEADERS.NONCE]: nonce,
+            [RequestAuth.HEADERS.SIGNATURE]: crypto.createHmac('sha256', secret).update(canonical).digest('hex')
+        };
+    }
+
+    /**
+     * Authenticate a request and check its scopes
+     * @param {Object} event - Netlify function event
+     * @param {Object} options - Endpoint requirements
+     * @param {string} options.endpoint - Endpoint path the signature must cover, e.g. /encrypt
+     * @param {Array<string>} options.scopes - Scopes the caller must hold
+     * @returns {Promise<Object>} Principal with keyId, scopes, method ('hmac' or 'bearer') and, for
+     *     registry keys, signed or bearer, the key name as tenant
+     * @throws {Error} With a RequestAuth error code
+     */
+    static async authenticate(event, { endpoint, scopes = [] }) {
+        const authError = (code, message) => {
+            const error = new Error(message);
+            error.code = code;
+            return error;
+        };
+
+        // Registry failures are reported with the codes other keys get
+        const registryError = (error) => {
+            if (error.code === ApiKeyRegistry.ERROR_CODES.KEY_NOT_FOUND) {
+                return authError(RequestAuth.ERROR_CODES.UNKNOWN_KEY, error.message);
+            }
+            if (error.code === ApiKeyRegistry.ERROR_CODES.SIGNATURE_INVALID) {
+                return authError(RequestAuth.ERROR_CODES.INVALID_SIGNATURE, error.message);
+            }
+            return error;
+        };
+
+        // Header names are lower-cased by Netlify; the lookup also tolerates test events
+        const headers = {};
+        for (const [name, value] of Object.entries(event.headers || {})) {
+            headers[name.toLowerCase()] = value;
+        }
+
+        let principal;
+        if (headers[RequestAuth.HEADERS.SIGNATURE] !== undefined) {
+            const keyId = headers[RequestAuth.HEADERS.KEY_ID];
+            const timestamp = headers[RequestAuth.HEADERS.TIMESTAMP];
+            const nonce = headers[RequestAuth.HEADERS.NONCE];
+            const signature = headers[RequestAuth.HEADERS.SIGNATURE];
+
+            if (!keyId || !/^[0-9]{1,12}$/.test(timestamp || '') || !/^[A-Za-z0-9_-]{16,128}$/.test(nonce || '') ||
+                !/^[0-9a-f]{64}$/.test(signature || '')) {
+                throw authError(RequestAuth.ERROR_CODES.AUTH_REQUIRED,
+                    'Signed requests need key ID, timestamp, 16-128 character nonce and hex signature headers');
+            }
+
+            const canonical = RequestAuth.canonicalRequest({
+                method: event.httpMethod || '',
+                path: endpoint,
+                timestamp,
+                nonce,
+                bodyHash: RequestAuth.hashBody(event)
+            });
+
+            let key = RequestAuth.resolveKey(keyId);
+            if (key) {
+                const expected = crypto.createHmac('sha256', key.secret).update(canonical).digest();
+                if (!crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+                    throw authError(RequestAuth.ERROR_CODES.INVALID_SIGNATURE, 'Request signature does not match');
+                }
+            } else {
+                const registry = /^[0-9a-f]{16}$/.test(keyId) ? ApiKeyRegistry.fromEnvironment() : null;
+                if (!registry) {
+                    throw authError(RequestAuth.ERROR_CODES.UNKNOWN_KEY, `Unknown key ID: ${keyId}`);
+                }
+                try {
+                    const registryKey = await registry.authenticateSignature(keyId, canonical, signature);
+                    key = { keyId: registryKey.keyId, scopes: registryKey.scopes, tenant: registryKey.name };
+                } catch (error) {
+                    throw registryError(error);
+                }
+            }
+
+            // Checked after the signature, so unsigned requests cannot fill the nonce cache
+            const maxSkew = RequestAuth.getMaxSkewSeconds();
+            if (Math.abs(Math.floor(Date.now() / 1000) - Number(timestamp)) > maxSkew) {
+                throw authError(RequestAuth.ERROR_CODES.STALE_REQUEST,
+                    `Request timestamp is more than ${maxSkew} seconds from server time`);
+            }
+
+            if (!(await nonceCache.add(`${keyId}:${nonce}`, 2 * maxSkew * 1000))) {
+                throw authError(RequestAuth.ERROR_CODES.REPLAYED_REQUEST, 'Request nonce has already been used');
+            }
+
+            principal = { keyId: keyId, scopes: key.scopes, method: 'hmac', ...(key.tenant ? { tenant: key.tenant } : {}) };
+        } else {
+            const authHeader = headers.authorization;
+            const token = typeof authHeader === 'string' && authHeader.startsWith('Bearer ') ? authHeader.slice(7) : null;
+            if (!token) {
+                throw authError(RequestAuth.ERROR_CODES.AUTH_REQUIRED, 'Send a signed request or Authorization: Bearer <PQLS_API_KEY>');
+            }
+
+            // Bearer tokens can be replayed, so deployments whose clients all sign can turn them off
+            if (process.env.PQLS_ALLOW_BEARER === 'false') {
+                throw authError(RequestAuth.ERROR_CODES.AUTH_REQUIRED, 'Bearer authentication is disabled; sign the request');
+            }
+
+            const registry = ApiKeyRegistry.parseToken(token) ? ApiKeyRegistry.fromEnvironment() : null;
+            if (registry) {
+                let key;
+                try {
+                    key = await registry.authenticate(token);
+                } catch (error) {
+                    throw registryError(error);
+                }
+                principal = { keyId: key.keyId, scopes: key.scopes, method: 'bearer', tenant: key.name };
+            } else {
+                const key = RequestAuth.resolveKey(RequestAuth.DEFAULT_KEY_ID);
+                if (!key) {
+                    throw authError(RequestAuth.ERROR_CODES.UNKNOWN_KEY, 'API key is not valid');
+                }
+                const expected = crypto.createHash('sha256').update(key.secret).digest();
+                if (!crypto.timingSafeEqual(expected, crypto.createHash('sha256').update(token).digest())) {
+                    throw authError(RequestAuth.ERROR_CODES.UNKNOWN_KEY, 'API key is not valid');
+                }
+                principal = { keyId: key.keyId, scopes: key.scopes, method: 'bearer' };
+            }
+        }
+
+        const missing = scopes.filter(scope => !RequestAuth.hasScope(principal, scope));
+        if (missing.length > 0) {
+            throw authError(RequestAuth.ERROR_CODES.INSUFFICIENT_SCOPE,
+                `Key ${principal.keyId} lacks the ${missing.join(', ')} scope`);
+        }
+
+        return principal;
+    }
+
+    /**
+     * Check whether an authenticated principal holds a scope
+     * @param {Object} principal - Principal from authenticate()
+     * @param {string} scope - Scope
+     * @returns {boolean} True when the scope, or the admin scope, was granted
+     */
+    static hasScope(principal, scope) {
+        return Boolean(principal) && (principal.scopes.includes(ApiKeyRegistry.ADMIN_SCOPE) || principal.scopes.includes(scope));
+    }
+
+    /**
+     * Authenticate a request inside a handler
+     * The principal is recorded as event.auth.
+     * @param {Object} event - Netlify function event
+     * @param {Object} options - Endpoint requirements, as for authenticate()
+     * @returns {Promise<Object|null>} Error response to return, or null when the request may proceed
+     */
+    static async guard(event, options) {
+        if (!process.env.PQLS_API_KEY && !process.env.PQLS_API_CLIENTS && !process.env.PQLS_API_KEYS && !process.env.PQLS_API_KEYS_FILE) {
+            console.error("Configuration Error: no API keys are configured.");
+            return {
+                statusCode: 500,
+                body: JSON.stringify({ error: "Server configuration error: no API keys are configured (set PQLS_API_KEYS or PQLS_API_KEY)." }),
+                headers: { 'Content-Type': 'application/json' }
+            };
+        }
+
+        try {
+            event.auth = await RequestAuth.authenticate(event, options);
+            return null;
+        } catch (error) {
+            if (error.code === RequestAuth.ERROR_CODES.AUTH_NOT_CONFIGURED ||
+                error.code === ApiKeyRegistry.ERROR_CODES.REGISTRY_INVALID) {
+                console.error('Configuration Error:', error.message);
+                return {
+                    statusCode: 500,
+                    body: JSON.stringify({ error: `Server configuration error: ${error.message}` }),
+                    headers: { 'Content-Type': 'application/json' }
+                };
+            }
+
+            const forbidden = error.code === RequestAuth.ERROR_CODES.INSUFFICIENT_SCOPE;
+            return {
+                statusCode: forbidden ? 403 : 401,
+                body: JSON.stringify({
+                    error: forbidden ? 'Forbidden' : 'Unauthorized',
+                    details: error.message,
+                    code: error.code
+                }),
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(forbidden ? {} : { 'WWW-Authenticate': `${RequestAuth.SIGNATURE_ALGORITHM}, Bearer` })
+                }
+            };
+        }
+    }
+}
+
+module.exports = RequestAuth;
+module.exports.MemoryNonceCache = MemoryNonceCache;
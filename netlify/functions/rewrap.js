@@ -0,0 +1,122 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/rewrap', scopes: ['keys'] };
+exports.auth = AUTH;
+
+// Envelopes accepted per request when rotating a table in batches
+const MAX_REWRAP_ENVELOPES = 100;
+
+const MISSING_FIELDS_MESSAGE = 'Missing encryptedData, privateKey, publicKey or algorithm field.';
+
+// Initialize post-quantum crypto instance
+const pqCrypto = new PostQuantumCrypto();
+
+// Rewrap failures caused by the envelope or the keys sent; other codes are server errors
+const REWRAP_ERRORS = {
+    [PostQuantumCrypto.ERROR_CODES.INVALID_DATA_FORMAT]: 400,
+    [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+    [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+    [PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400,
+    [PostQuantumCrypto.ERROR_CODES.KEY_MISMATCH]: 400,
+    [PostQuantumCrypto.ERROR_CODES.ENCAPSULATION_FAILED]: 400,
+    [PostQuantumCrypto.ERROR_CODES.DECAPSULATION_FAILED]: 400,
+    [PostQuantumCrypto.ERROR_CODES.DECRYPTION_FAILED]: 400
+};
+
+/**
+ * Key rotation endpoint
+ * Moves pq-v2-wrapped envelopes from an old private key to a new public key by re-wrapping
+ * their data keys; the payload ciphertexts are returned unchanged and never decrypted
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    // Takes the old private key and re-targets envelopes, so callers need the keys scope
+    auth: AUTH,
+    schema: {
+        encryptedData: {
+            type: ['object', 'string', 'array'],
+            required: true,
+            minItems: 1,
+            maxItems: MAX_REWRAP_ENVELOPES,
+            message: encryptedData => Array.isArray(encryptedData) ?
+                `Send between 1 and ${MAX_REWRAP_ENVELOPES} envelopes per request.` :
+                MISSING_FIELDS_MESSAGE
+        },
+        privateKey: { required: true, message: MISSING_FIELDS_MESSAGE },
+        publicKey: { type: 'string', required: true, message: MISSING_FIELDS_MESSAGE },
+        algorithm: { type: 'string', required: true, message: MISSING_FIELDS_MESSAGE }
+    },
+    errorMessage: 'Rewrap failed',
+    errors: REWRAP_ERRORS
+}, async ({ body }) => {
+    const { encryptedData, privateKey: privateKeyInput, passphrase, publicKey, algorithm } = body;
+
+    // Passphrase-protected keys are unwrapped here and never leave this request
+    let privateKey = privateKeyInput;
+    if (PostQuantumCrypto.isKeyContainer(privateKeyInput)) {
+        try {
+            privateKey = (await PostQuantumCrypto.importPrivateKey(privateKeyInput, passphrase)).privateKey;
+        } catch (keyError) {
+            throw Middleware.httpError(400, 'Unable to open the protected private key', {
+                code: keyError.code,
+                details: keyError.message
+            });
+        }
+    }
+
+    await pqCrypto.ensureInitialized();
+
+    // A single envelope keeps the request/response shape of /encrypt and /decrypt, errors included
+    if (!Array.isArray(encryptedData)) {
+        const envelope = await pqCrypto.rewrap(encryptedData, privateKey, publicKey, algorithm);
+        console.log(`Rewrapped 1 envelope for ${algorithm}`);
+
+        return {
+            statusCode: 200,
+            body: JSON.stringify({
+                success: true,
+                encryptedData: envelope,
+                metadata: {
+                    algorithm: envelope.algorithm,
+                    securityLevel: envelope.securityLevel,
+                    keyId: envelope.keyId,
+                    rewrappedAt: envelope.rewrappedAt
+                }
+            }),
+            headers: { 'Content-Type': 'application/json' }
+        };
+    }
+
+    // In a batch, one bad envelope is reported in `failed` without failing the others
+    const envelopes = encryptedData;
+    const rewrapped = [];
+    const failed = [];
+    for (let index = 0; index < envelopes.length; index++) {
+        try {
+            rewrapped.push(await pqCrypto.rewrap(envelopes[index], privateKey, publicKey, algorithm));
+        } catch (error) {
+            rewrapped.push(null);
+            failed.push({ index, error: error.message, code: error.code });
+        }
+    }
+
+    console.log(`Rewrapped ${envelopes.length - failed.length} of ${envelopes.length} envelopes for ${algorithm}`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: failed.length === 0,
+            encryptedData: rewrapped,
+            failed: failed,
+            metadata: {
+                algorithm: algorithm,
+                keyId: PostQuantumCrypto.computeKeyId(Buffer.from(publicKey, 'base64')),
+                rewrapped: envelopes.length - failed.length,
+                total: envelopes.length
+            }
+        }),
+        headers: { 'Content-Type': 'application/json' }
+    };
+});
@@ -0,0 +1,50 @@
+const { PostQuantumSignature } = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/sign', scopes: ['sign'] };
+exports.auth = AUTH;
+
+/**
+ * Signing endpoint for post-quantum digital signatures
+ * Signs form receipts, exports and release artifacts with ML-DSA or SLH-DSA
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    auth: AUTH,
+    schema: {
+        message: { type: 'string', required: true, message: 'Missing or invalid message field. Message must be a non-empty string.' },
+        privateKey: { type: 'string', required: true, message: 'Missing privateKey or algorithm' },
+        algorithm: { type: 'string', required: true, message: 'Missing privateKey or algorithm' }
+    },
+    errorMessage: 'Signing failed',
+    errors: {
+        [PostQuantumSignature.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400,
+        [PostQuantumSignature.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumSignature.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumSignature.ERROR_CODES.SIGNING_FAILED]: 400
+    }
+}, async ({ body }) => {
+    const { message, privateKey, algorithm, context, encoding } = body;
+
+    // Binary artifacts can be sent base64 encoded
+    const messageData = encoding === 'base64' ? Buffer.from(message, 'base64') : message;
+
+    const signatureService = new PostQuantumSignature();
+    await signatureService.initialize();
+
+    const signature = await signatureService.sign(messageData, privateKey, algorithm, { context });
+    console.log(`Signed ${signature.messageDigest} with ${algorithm}`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: true,
+            signature: signature
+        }),
+        headers: { 
+            'Content-Type': 'application/json',
+            'X-Signature-Algorithm': algorithm
+        }
+    };
+});
@@ -0,0 +1,54 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/split-key', scopes: ['keys'] };
+exports.auth = AUTH;
+
+/**
+ * Key escrow endpoint
+ * Splits a private key into M-of-N Shamir shares that can be handed to separate officers,
+ * so a lost key can be recovered through /combine-key without any one person holding it
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    // Returns shares of a private key, so callers need the keys scope
+    auth: AUTH,
+    schema: {
+        privateKey: { required: true, message: 'Missing privateKey field.' }
+    },
+    errorMessage: 'Key split failed',
+    errors: {
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.PASSPHRASE_REQUIRED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_PASSPHRASE]: 400
+    }
+}, async ({ body }) => {
+    const { privateKey, passphrase, algorithm, keyId, threshold, shares } = body;
+
+    // A protected key is opened first so that the shares recombine to the usable key
+    const keypair = PostQuantumCrypto.isKeyContainer(privateKey) ?
+        await PostQuantumCrypto.importPrivateKey(privateKey, passphrase) :
+        { privateKey, algorithm, keyId };
+
+    const keyShares = PostQuantumCrypto.splitPrivateKey(keypair, { threshold, shares });
+    console.log(`Split ${keypair.algorithm} key ${keyShares[0].keyId || '(unknown id)'} into ${shares} shares with threshold ${threshold}`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify({
+            success: true,
+            shares: keyShares,
+            metadata: {
+                format: PostQuantumCrypto.KEY_SHARE_VERSION,
+                setId: keyShares[0].setId,
+                algorithm: keyShares[0].algorithm,
+                keyId: keyShares[0].keyId,
+                threshold: threshold,
+                shares: shares
+            }
+        }),
+        headers: { 'Content-Type': 'application/json' }
+    };
+});
@@ -1,19 +1,19 @@
 const PostQuantumCrypto = require('./crypto-utils');
 const { RSAFallbackCrypto } = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/status', scopes: ['monitor'] };
+exports.auth = AUTH;
 
 /**
  * Status endpoint for OQS library and post-quantum cryptography functionality
  * Provides system health information and algorithm availability
  */
-exports.handler = async (event) => {
-    if (event.httpMethod !== 'GET') {
-        return { 
-            statusCode: 405, 
-            body: JSON.stringify({ error: 'Method Not Allowed' }),
-            headers: { 'Content-Type': 'application/json' }
-        };
-    }
-
+exports.handler = Middleware.createHandler({
+    methods: ['GET'],
+    auth: AUTH
+}, async () => {
     try {
         const pqCrypto = new PostQuantumCrypto();
         
@@ -84,47 +84,56 @@ exports.handler = async (event) => {
         const statusResponse = {
             timestamp: new Date().toISOString(),
             service: 'Post-Quantum Lattice Shield',
-            version: 'pq-v1',
+            version: basicStatus.version,
+            supportedVersions: basicStatus.supportedVersions,
             oqs: {
                 available: pqVerificationResult.available,
                 functional: pqVerificationResult.functional,
                 initialized: basicStatus.initialized,
                 ready: basicStatus.ready,
+                provider: pqCrypto.providerName,
+                nativeBinding: pqCrypto.providerName === 'oqs',
                 version: pqVerificationResult.version || 'unknown',
                 supportedAlgorithms: pqVerificationResult.supportedAlgorithms.map(alg => ({
                     name: alg.algorithm,
                     level: alg.level,
+                    hybrid: alg.hybrid,
                     functional: alg.functional,
                     keySize: alg.keySize,
                     error: alg.error
-                }))
+                })),
+                knownAnswerTests: pqVerificationResult.knownAnswerTests || null
             },
             rsa: {
                 available: rsaVerificationResult.available,
                 functional: rsaVerificationResult.functional,
-                algorithm: 'RSA-OAEP-256',
-                keySize: 2048,
+                algorithm: 'RSA-OAEP-256+AES-256-GCM',
+                version: RSAFallbackCrypto.ENVELOPE_VERSIONS.CURRENT,
+                keySize: new RSAFallbackCrypto().keySizes,
                 description: 'Fallback encryption when post-quantum is unavailable'
             },
+            // KEM entries come from the algorithm registry
             algorithms: {
-                'ML-KEM-768': {
-                    available: pqVerificationResult.supportedAlgorithms.some(alg => 
-                        alg.algorithm === 'ML-KEM-768' && alg.functional),
-                    securityLevel: 'standard',
-                    description: 'Recommended for most applications'
-                },
-                'ML-KEM-1024': {
+                ...Object.fromEntries(PostQuantumCrypto.listAlgorithms('kem').map(suite => [suite.name, {
                     available: pqVerificationResult.supportedAlgorithms.some(alg => 
-                        alg.algorithm === 'ML-KEM-1024' && alg.functional),
-                    securityLevel: 'high',
-                    description: 'Maximum security for sensitive data'
-                },
+                        alg.algorithm === suite.name && alg.functional),
+                    securityLevel: suite.securityLevel,
+                    hybrid: suite.hybrid,
+                    default: suite.default,
+                    keySizes: suite.keySizes,
+                    description: suite.description
+                }])),
                 'RSA-OAEP-256': {
                     available: rsaVerificationResult.functional,
                     securityLevel: 'standard',
                     description: 'Fallback algorithm for compatibility'
                 }
             },
+            dataCiphers: Object.fromEntries(PostQuantumCrypto.listAlgorithms('dem').map(suite => [suite.name, {
+                default: suite.default,
+                nonceLength: suite.nonceLength,
+                description: suite.description
+            }])),
             health: {
                 overall: (pqVerificationResult.functional || rsaVerificationResult.functional) ? 
                     (pqVerificationResult.functional ? 'healthy' : 'degraded') : 'unhealthy',
@@ -186,4 +195,4 @@ exports.handler = async (event) => {
             }
         };
     }
-};
\ No newline at end of file
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+const PostQuantumCrypto = require('./crypto-utils');
+const KeyVault = require('./key-vault');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/vault-keys', scopes: ['keys'] };
+exports.auth = AUTH;
+
+/**
+ * Key vault endpoint
+ * GET lists the vault keys, or describes one with ?keyId=. POST generates a key in the vault
+ * ({ action: 'generate', securityLevel, hybrid, label }) or moves an existing one in
+ * ({ action: 'import', privateKey, algorithm, passphrase, label }). Only public keys and key
+ * IDs are ever returned; /decrypt takes the key ID in place of the private key. Keys belong
+ * to the API key that created them and are listed and usable only by it, or by admin keys.
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['GET', 'POST'],
+    auth: AUTH,
+    schema: {
+        action: { enum: ['generate', 'import'], required: true, message: 'Invalid action field. Use generate or import.' }
+    },
+    errorMessage: 'Key vault request failed',
+    errors: {
+        [KeyVault.ERROR_CODES.KEY_NOT_FOUND]: 404,
+        [KeyVault.ERROR_CODES.KEY_EXISTS]: 409,
+        [KeyVault.ERROR_CODES.ACCESS_DENIED]: 403,
+        [KeyVault.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_INPUT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_KEY_FORMAT]: 400,
+        [PostQuantumCrypto.ERROR_CODES.ALGORITHM_NOT_SUPPORTED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.PASSPHRASE_REQUIRED]: 400,
+        [PostQuantumCrypto.ERROR_CODES.INVALID_PASSPHRASE]: 400
+    }
+}, async ({ method, query, body, auth }) => {
+    let vault;
+    try {
+        vault = KeyVault.fromEnvironment();
+    } catch (error) {
+        console.error('Configuration Error:', error.message);
+        throw Middleware.httpError(500, `Server configuration error: ${error.message}`, {
+            code: error.code
+        });
+    }
+
+    if (method === 'GET') {
+        const keyId = query.keyId;
+        const result = keyId ? { success: true, key: await vault.getKey(keyId, auth) } : { success: true, keys: await vault.listKeys(auth) };
+        return {
+            statusCode: 200,
+            body: JSON.stringify(result),
+            headers: { 'Content-Type': 'application/json' }
+        };
+    }
+
+    const { action, securityLevel, hybrid, label, privateKey: privateKeyInput, algorithm, passphrase } = body;
+
+    const owner = KeyVault.ownerOf(auth);
+    let key;
+    if (action === 'generate') {
+        key = await vault.generateKey({ securityLevel, hybrid: Boolean(hybrid), label, owner });
+    } else {
+        // Protected keys are opened here so they can be moved in without unwrapping them first
+        let privateKey = privateKeyInput;
+        let keyAlgorithm = algorithm;
+        if (PostQuantumCrypto.isKeyContainer(privateKeyInput)) {
+            const imported = await PostQuantumCrypto.importPrivateKey(privateKeyInput, passphrase);
+            privateKey = imported.privateKey;
+            keyAlgorithm = imported.algorithm;
+        }
+        key = await vault.importKey({ privateKey, algorithm: keyAlgorithm, label, owner });
+    }
+
+    return {
+        statusCode: 201,
+        body: JSON.stringify({ success: true, key: key }),
+        headers: { 'Content-Type': 'application/json' }
+    };
+});
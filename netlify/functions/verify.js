@@ -0,0 +1,41 @@
+const { PostQuantumSignature } = require('./crypto-utils');
+const Middleware = require('./middleware');
+
+// Endpoint path covered by request signatures, and the scopes a caller must hold
+const AUTH = { endpoint: '/verify', scopes: ['verify'] };
+exports.auth = AUTH;
+
+/**
+ * Verification endpoint for post-quantum digital signatures
+ * Verifying needs only the signer's public key, but callers still need the verify scope
+ */
+exports.handler = Middleware.createHandler({
+    methods: ['POST'],
+    auth: AUTH,
+    schema: {
+        message: { type: 'string', required: true, message: 'Missing message, signature or publicKey' },
+        signature: { required: true, message: 'Missing message, signature or publicKey' },
+        publicKey: { type: 'string', required: true, message: 'Missing message, signature or publicKey' }
+    },
+    errorMessage: 'Signature verification failed',
+    errorStatus: 400
+}, async ({ body }) => {
+    const { message, signature, publicKey, context, encoding } = body;
+
+    const messageData = encoding === 'base64' ? Buffer.from(message, 'base64') : message;
+
+    const signatureService = new PostQuantumSignature();
+    await signatureService.initialize();
+
+    const result = await signatureService.verify(messageData, signature, publicKey, { context });
+    console.log(`Signature verification with ${result.algorithm}: ${result.valid ? 'valid' : 'invalid'}`);
+
+    return {
+        statusCode: 200,
+        body: JSON.stringify(result),
+        headers: { 
+            'Content-Type': 'application/json',
+            'X-Signature-Valid': result.valid.toString()
+        }
+    };
+});
@@ -284,9 +284,6 @@ class LatticeBackground {
     }
 }
 
-// Initialize lattice background
-let latticeBackground;
-
 // Smooth scrolling for navigation links
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize 3D Lattice Background
@@ -296,7 +293,7 @@ document.addEventListener('DOMContentLoaded', function() {
         const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         
         if (!prefersReducedMotion) {
-            latticeBackground = new LatticeBackground(canvas);
+            new LatticeBackground(canvas);
         }
     }
     // Add smooth scrolling to all links with href starting with #
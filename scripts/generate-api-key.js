@@ -2,10 +2,13 @@
 
 /**
  * API Key Generation Script for Post-Quantum Lattice Shield
- * Generates secure API keys for the PQLS_API_KEY environment variable
+ * Generates secure API keys for the PQLS_API_KEY environment variable, and manages the
+ * hashed API key registry (create, list, rotate and revoke)
  */
 
 const crypto = require('crypto');
+const path = require('path');
+const ApiKeyRegistry = require('../netlify/functions/api-keys');
 
 console.log('🔐 Post-Quantum Lattice Shield API Key Generator\n');
 
@@ -119,18 +122,131 @@ function displaySetupInstructions(apiKey) {
     console.log('');
 }
 
+/**
+ * Parse a duration such as 90d, 12h or 30m, or an ISO date
+ * @param {string} value - Duration or date
+ * @returns {Date} Point in time that far from now
+ */
+function parseExpiry(value) {
+    const match = /^(\d+)([mhd])$/.exec(value || '');
+    if (match) {
+        const unitSeconds = { m: 60, h: 60 * 60, d: 24 * 60 * 60 }[match[2]];
+        return new Date(Date.now() + Number(match[1]) * unitSeconds * 1000);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Not a duration (e.g. 90d, 12h, 30m) or date: ${value}`);
+    }
+    return date;
+}
+
+/**
+ * Read the value following an option
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} name - Option name
+ * @returns {string|undefined} Option value
+ */
+function optionValue(args, name) {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+/**
+ * Print a key from the registry
+ * @param {Object} key - Key description
+ */
+function printKey(key) {
+    console.log(`${key.keyId}  ${key.name}  [${key.scopes.join(', ')}]  ${key.status}`);
+    console.log(`   created ${key.createdAt}, expires ${key.expiresAt || 'never'}, last used ${key.lastUsedAt || 'never'}` +
+        (key.revokedAt ? `, revoked ${key.revokedAt}` : '') +
+        (key.rotatedFrom ? `, replaces ${key.rotatedFrom}` : '') +
+        (key.signing ? ', can sign' : ', bearer only'));
+}
+
+/**
+ * Print a new token and how to deploy the registry
+ * @param {string} token - Token, shown only once
+ * @param {Object} key - Key description
+ * @param {string} registryFile - Registry file
+ */
+function printToken(token, key, registryFile) {
+    console.log(`\n🔑 API key (shown only once; the registry keeps just its hash and wrapped signing secret):\n   ${token}\n`);
+    if (key.signing) {
+        console.log('Enter it in the WordPress plugin settings, or sign requests with key ID ' +
+            `${key.keyId} and ApiKeyRegistry.signingCredentials(<key>).secret.`);
+    } else {
+        console.log('Set PQLS_API_KEYS_MASTER_KEY before creating keys so they can sign requests; this one can only be sent as');
+        console.log('"Authorization: Bearer <key>".');
+    }
+    console.log('Deploy the updated registry with:');
+    console.log(`   netlify env:set PQLS_API_KEYS "$(cat ${registryFile})"\n`);
+}
+
+/**
+ * Run a registry subcommand
+ * @param {string} command - create, list, rotate or revoke
+ * @param {Array<string>} args - Remaining arguments
+ */
+async function runRegistryCommand(command, args) {
+    const registryFile = path.resolve(optionValue(args, '--file') || process.env.PQLS_API_KEYS_FILE || 'api-keys.json');
+    const registry = new ApiKeyRegistry({
+        store: new ApiKeyRegistry.FileApiKeyStore(registryFile),
+        masterKey: ApiKeyRegistry.masterKeyFromEnvironment()
+    });
+    const expires = optionValue(args, '--expires');
+
+    if (command === 'create') {
+        const scopes = (optionValue(args, '--scopes') || '').split(',').map(scope => scope.trim()).filter(Boolean);
+        const { token, key } = await registry.createKey({
+            name: optionValue(args, '--name'),
+            scopes: scopes,
+            expiresAt: expires ? parseExpiry(expires) : undefined
+        });
+        printKey(key);
+        printToken(token, key, registryFile);
+    } else if (command === 'list') {
+        const keys = await registry.listKeys();
+        console.log(`${keys.length} key(s) in ${registryFile}\n`);
+        keys.forEach(printKey);
+    } else if (command === 'rotate') {
+        const overlap = optionValue(args, '--overlap');
+        const { token, key, previous } = await registry.rotateKey(args[0], {
+            overlapSeconds: overlap ? Math.round((parseExpiry(overlap).getTime() - Date.now()) / 1000) : undefined,
+            expiresAt: expires ? parseExpiry(expires) : undefined
+        });
+        printKey(key);
+        console.log(`\n${previous.keyId} stays valid until ${previous.expiresAt}; move clients to the new key before then.`);
+        printToken(token, key, registryFile);
+    } else if (command === 'revoke') {
+        printKey(await registry.revokeKey(args[0]));
+        console.log(`\nDeploy the updated registry with: netlify env:set PQLS_API_KEYS "$(cat ${registryFile})"`);
+    }
+}
+
 /**
  * Main function
  */
-function main() {
+async function main() {
     const args = process.argv.slice(2);
     
     if (args.includes('--help') || args.includes('-h')) {
-        console.log('Usage: node generate-api-key.js [options]\n');
+        console.log('Usage: node generate-api-key.js [options]');
+        console.log('       node generate-api-key.js <create|list|rotate|revoke> [arguments]\n');
         console.log('Options:');
         console.log('  --validate <key>  Validate an existing API key');
         console.log('  --quick          Generate a single API key quickly');
-        console.log('  --help, -h       Show this help message');
+        console.log('  --help, -h       Show this help message\n');
+        console.log('Registry commands (registry file: --file <path>, PQLS_API_KEYS_FILE or ./api-keys.json):');
+        console.log(`  create --name <name> --scopes <${ApiKeyRegistry.SCOPES.join('|')},...> [--expires 90d]`);
+        console.log('  list');
+        console.log('  rotate <keyId> [--overlap 7d] [--expires 90d]   New key; the old one stays valid for the overlap');
+        console.log('  revoke <keyId>');
+        return;
+    }
+
+    if (['create', 'list', 'rotate', 'revoke'].includes(args[0])) {
+        await runRegistryCommand(args[0], args.slice(1));
         return;
     }
     
@@ -187,11 +303,16 @@ function main() {
 }
 
 if (require.main === module) {
-    main();
+    main().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
 }
 
 module.exports = {
     generateSecureApiKey,
     validateApiKey,
-    displaySetupInstructions
+    displaySetupInstructions,
+    parseExpiry,
+    runRegistryCommand
 };
\ No newline at end of file
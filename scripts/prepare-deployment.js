@@ -86,7 +86,7 @@ async function installOQSDependencies() {
         });
         
         // Verify installation
-        const oqs = require('oqs.js');
+        require('oqs.js');
         console.log('✅ OQS library installed and verified');
         
         return true;
@@ -174,6 +174,16 @@ function createDeploymentConfigs() {
         'encrypt': { memory: 1024, timeout: 30 },
         'decrypt': { memory: 1024, timeout: 30 },
         'generate-keypair': { memory: 512, timeout: 15 },
+        'encrypt-stream': { memory: 1024, timeout: 30 },
+        'encrypt-batch': { memory: 1024, timeout: 30 },
+        'rewrap': { memory: 1024, timeout: 30 },
+        'sign': { memory: 1024, timeout: 30 },
+        'verify': { memory: 1024, timeout: 30 },
+        'convert-key': { memory: 256, timeout: 10 },
+        'split-key': { memory: 512, timeout: 10 },
+        'combine-key': { memory: 512, timeout: 10 },
+        'blind-index': { memory: 256, timeout: 10 },
+        'vault-keys': { memory: 512, timeout: 15 },
         'monitor': { memory: 256, timeout: 10 },
         'status': { memory: 256, timeout: 10 }
     };
@@ -260,6 +260,48 @@ async function testCryptoUtilsIntegration() {
     }
 }
 
+/**
+ * Report the ML-KEM known-answer test results from library verification
+ */
+function testKnownAnswerVectors(verification) {
+    console.log('\n📐 Checking ML-KEM known-answer vectors...');
+
+    const knownAnswerTests = verification && verification.knownAnswerTests;
+    if (!knownAnswerTests) {
+        console.log('  ❌ Library verification did not run the known-answer tests');
+        return { success: false };
+    }
+
+    if (!knownAnswerTests.available) {
+        console.log(`  ❌ ${knownAnswerTests.error}`);
+        return { success: false, error: knownAnswerTests.error };
+    }
+
+    console.log(`  Provider: ${knownAnswerTests.provider}${knownAnswerTests.derandomized ? '' : ' (no derandomized entry points: keygen/encapsulation unverified)'}`);
+    console.log(`  Vectors: ${knownAnswerTests.source}`);
+    for (const [algorithm, coverage] of Object.entries(knownAnswerTests.coverage)) {
+        const counts = Object.entries(coverage).map(([check, count]) => `${check}=${count}`).join(' ');
+        console.log(`  ${algorithm}: ${counts}`);
+    }
+    knownAnswerTests.vectors.filter(vector => !vector.passed).forEach(vector => {
+        console.log(`  ${vector.outcome === 'fail' ? '❌' : '⚠️'} ${vector.id} ${vector.check}: ${vector.outcome}${vector.error ? ` (${vector.error})` : ''}`);
+    });
+    if (knownAnswerTests.missing.length > 0) {
+        console.log(`  ❌ No vectors for ${knownAnswerTests.missing.join(', ')}`);
+    }
+    const passed = knownAnswerTests.total - knownAnswerTests.failed - knownAnswerTests.unverified;
+    console.log(`  ${passed}/${knownAnswerTests.total} vectors passed, ${knownAnswerTests.failed} failed, ${knownAnswerTests.unverified} unverified`);
+
+    return {
+        success: knownAnswerTests.passed,
+        total: knownAnswerTests.total,
+        failed: knownAnswerTests.failed,
+        unverified: knownAnswerTests.unverified,
+        missing: knownAnswerTests.missing,
+        vectors: knownAnswerTests.vectors
+    };
+}
+
 /**
  * Main test function
  */
@@ -274,7 +316,8 @@ async function main() {
         oqsLibrary: null,
         algorithms: [],
         performance: null,
-        integration: null
+        integration: null,
+        knownAnswerTests: null
     };
     
     try {
@@ -301,6 +344,9 @@ async function main() {
         // Test crypto-utils integration
         const integrationResult = await testCryptoUtilsIntegration();
         testResults.integration = integrationResult;
+
+        // Check the known-answer vectors run during verification
+        testResults.knownAnswerTests = testKnownAnswerVectors(integrationResult.verification);
         
         // Summary
         console.log('\n📊 Test Summary:');
@@ -309,11 +355,13 @@ async function main() {
         console.log(`ML-KEM-1024: ${testResults.algorithms.find(a => a.algorithm === 'ML-KEM-1024')?.success ? '✅' : '❌'}`);
         console.log(`Performance: ${testResults.performance?.success ? '✅' : '❌'}`);
         console.log(`Integration: ${testResults.integration?.success ? '✅' : '❌'}`);
+        console.log(`Known-answer tests: ${testResults.knownAnswerTests?.success ? '✅' : '❌'}`);
         
         const allPassed = testResults.oqsLibrary.success && 
                          testResults.algorithms.every(a => a.success) &&
                          testResults.performance?.success &&
-                         testResults.integration?.success;
+                         testResults.integration?.success &&
+                         testResults.knownAnswerTests?.success;
         
         if (allPassed) {
             console.log('\n🎉 All tests passed! OQS library is ready for deployment.');
@@ -346,4 +394,4 @@ if (require.main === module) {
     });
 }
 
-module.exports = { main, testOQSLibrary, testMLKEMAlgorithm };
\ No newline at end of file
+module.exports = { main, testOQSLibrary, testMLKEMAlgorithm, testKnownAnswerVectors };
\ No newline at end of file
@@ -212,7 +212,7 @@ async function testServerlessEnvironment() {
             // Perform post-quantum operations
             const keypair = oqs.kemKeypair('ML-KEM-768');
             const encapResult = oqs.encapsulate('ML-KEM-768', keypair.publicKey);
-            const decapResult = oqs.decapsulate('ML-KEM-768', encapResult.ciphertext, keypair.secretKey);
+            oqs.decapsulate('ML-KEM-768', encapResult.ciphertext, keypair.secretKey);
             
             const endMemory = process.memoryUsage().heapUsed;
             const memoryDelta = (endMemory - startMemory) / 1024 / 1024; // MB
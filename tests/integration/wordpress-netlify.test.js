@@ -3,8 +3,8 @@
  * Tests end-to-end workflows and API interactions
  */
 
-const { handler: generateKeypairHandler } = require('../../netlify/functions/generate-keypair');
-const { handler: encryptHandler } = require('../../netlify/functions/encrypt');
+const generateKeypairHandler = testUtils.authorized(require('../../netlify/functions/generate-keypair').handler);
+const encryptHandler = testUtils.authorized(require('../../netlify/functions/encrypt').handler);
 const { handler: decryptHandler } = require('../../netlify/functions/decrypt');
 
 describe('WordPress-Netlify Integration Tests', () => {
@@ -70,7 +70,7 @@ describe('WordPress-Netlify Integration Tests', () => {
       expect(encryptBody).toHaveProperty('encryptedData');
 
       const encryptedData = encryptBody.encryptedData;
-      expect(encryptedData).toHaveProperty('version', 'pq-v1');
+      expect(encryptedData).toHaveProperty('version', 'pq-v2');
       expect(encryptedData.algorithm).toContain('ML-KEM');
 
       // Step 3: Decrypt data (WordPress admin viewing encrypted data)
@@ -211,6 +211,36 @@ describe('WordPress-Netlify Integration Tests', () => {
       console.log(`✅ WordPress simulation: ${encryptedFields.length} fields encrypted, ${plainFields.length} fields plain`);
     });
 
+    test('should not decrypt a field value under another field\'s context', async () => {
+      if (!generatedKeypair) return;
+
+      // The plugin sends its site, form and field IDs as strings on both requests
+      const fieldContext = (fieldId) => ({ site_id: 'a1b2c3d4e5f60718', form_id: '3', field_id: fieldId });
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: '123-45-6789',
+        publicKey: generatedKeypair.publicKey,
+        algorithm: generatedKeypair.algorithm,
+        context: fieldContext('7'),
+        metadata: { form_id: 3, field_id: 7 }
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+      const { encryptedData } = JSON.parse(encryptResponse.body);
+
+      const decrypt = async (context) => {
+        const response = await decryptHandler(testUtils.createMockEvent('POST', {
+          encryptedData,
+          privateKey: generatedKeypair.privateKey,
+          context
+        }, { authorization: `Bearer ${testApiKey}` }));
+        return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+      };
+
+      expect(await decrypt(fieldContext('7'))).toMatchObject({ statusCode: 200, body: { decryptedData: '123-45-6789' } });
+      expect(await decrypt(fieldContext('8'))).toMatchObject({ statusCode: 400, body: { code: 'CONTEXT_MISMATCH' } });
+      expect(await decrypt({ ...fieldContext('7'), site_id: 'other-site' })).toMatchObject({ statusCode: 400, body: { code: 'CONTEXT_MISMATCH' } });
+      expect(await decrypt(undefined)).toMatchObject({ statusCode: 400, body: { code: 'CONTEXT_REQUIRED' } });
+    });
+
     test('should handle WordPress batch encryption requests', async () => {
       if (!generatedKeypair) return;
 
@@ -3,8 +3,8 @@
  * Tests encryption/decryption performance and identifies bottlenecks
  */
 
-const { handler: generateKeypairHandler } = require('../../netlify/functions/generate-keypair');
-const { handler: encryptHandler } = require('../../netlify/functions/encrypt');
+const generateKeypairHandler = testUtils.authorized(require('../../netlify/functions/generate-keypair').handler);
+const encryptHandler = testUtils.authorized(require('../../netlify/functions/encrypt').handler);
 const { handler: decryptHandler } = require('../../netlify/functions/decrypt');
 const PostQuantumCrypto = require('../../netlify/functions/crypto-utils');
 
@@ -493,19 +493,26 @@ describe('Form Submission Performance Benchmarks', () => {
         }
       }
 
-      if (timings.length >= 5) {
-        const avgTime = timings.reduce((a, b) => a + b) / timings.length;
-        const stdDev = Math.sqrt(timings.reduce((sum, time) => sum + Math.pow(time - avgTime, 2), 0) / timings.length);
-        const coefficientOfVariation = stdDev / avgTime;
+      expect(timings).toHaveLength(runs);
 
-        // Performance should be consistent (CV < 0.3)
-        expect(coefficientOfVariation).toBeLessThan(0.3);
+      // Medians ignore the odd slow run a shared CPU or a GC pause causes, which the
+      // coefficient of variation does not
+      const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+      };
+      const medianTime = median(timings);
+      const earlyMedian = median(timings.slice(0, runs / 2));
+      const lateMedian = median(timings.slice(runs / 2));
 
-        console.log(`✅ Performance consistency over ${runs} runs:`);
-        console.log(`   - Average: ${avgTime.toFixed(2)}ms`);
-        console.log(`   - Std Dev: ${stdDev.toFixed(2)}ms`);
-        console.log(`   - CV: ${coefficientOfVariation.toFixed(3)}`);
-      }
+      expect(medianTime).toBeLessThan(TEST_CONSTANTS.PERFORMANCE_THRESHOLDS.ENCRYPTION_MS * 1.5);
+      // Later runs should not slow down, which would point to a leak or growing state
+      expect(lateMedian).toBeLessThan(Math.max(earlyMedian * 2, 5));
+
+      console.log(`✅ Performance consistency over ${runs} runs:`);
+      console.log(`   - Median: ${medianTime.toFixed(2)}ms`);
+      console.log(`   - First/second half medians: ${earlyMedian.toFixed(2)}ms / ${lateMedian.toFixed(2)}ms`);
     });
   });
 });
\ No newline at end of file
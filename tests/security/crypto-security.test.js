@@ -3,10 +3,7 @@
  * Tests key generation randomness, encryption strength, and security properties
  */
 
-const crypto = require('crypto');
 const PostQuantumCrypto = require('../../netlify/functions/crypto-utils');
-const { handler: generateKeypairHandler } = require('../../netlify/functions/generate-keypair');
-const { handler: encryptHandler } = require('../../netlify/functions/encrypt');
 
 describe('Cryptographic Security Tests', () => {
   let pqCrypto;
@@ -362,7 +359,7 @@ describe('Cryptographic Security Tests', () => {
         // Verify hybrid encryption format
         expect(encrypted.algorithm).toContain('ML-KEM');
         expect(encrypted.algorithm).toContain('AES-256-GCM');
-        expect(encrypted.version).toBe('pq-v1');
+        expect(encrypted.version).toBe('pq-v2');
 
         // Verify components are present
         expect(encrypted.encapsulatedKey).toBeTruthy(); // ML-KEM component
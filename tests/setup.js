@@ -5,6 +5,8 @@
 // Set test environment variables
 process.env.NODE_ENV = 'test';
 process.env.PQLS_API_KEY = 'test-api-key-12345';
+// Suites call the functions far faster than any client would; rate-limit tests turn limits back on
+process.env.PQLS_RATE_LIMITS = JSON.stringify({ enabled: false });
 
 // Mock console methods to reduce noise in tests
 const originalConsoleLog = console.log;
@@ -42,6 +44,15 @@ global.testUtils = {
     };
   },
   
+  // Call a handler as the default API key unless the event carries its own credentials
+  authorized: (handler) => (event, ...args) => {
+    const headers = event.headers || {};
+    if (headers.authorization || headers['x-pqls-signature']) {
+      return handler(event, ...args);
+    }
+    return handler({ ...event, headers: { ...headers, authorization: `Bearer ${process.env.PQLS_API_KEY}` } }, ...args);
+  },
+
   // Performance measurement utility
   measurePerformance: async (fn) => {
     const start = process.hrtime.bigint();
@@ -0,0 +1,157 @@
+/**
+ * Unit tests for the API key registry
+ * Tests hashed storage, rotation, revocation, request signing and scoped access to the functions
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ApiKeyRegistry = require('../../netlify/functions/api-keys');
+const RequestAuth = require('../../netlify/functions/request-auth');
+const { handler: decryptHandler } = require('../../netlify/functions/decrypt');
+const { handler: statusHandler } = require('../../netlify/functions/status');
+const { FileApiKeyStore } = ApiKeyRegistry;
+
+describe('ApiKeyRegistry Unit Tests', () => {
+  let directory;
+  let registryFile;
+  let registry;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pqls-keys-'));
+    registryFile = path.join(directory, 'api-keys.json');
+    registry = new ApiKeyRegistry({ store: new FileApiKeyStore(registryFile) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete process.env.PQLS_API_KEYS;
+    delete process.env.PQLS_API_KEYS_MASTER_KEY;
+  });
+
+  test('should store only a hash of each key and record its use', async () => {
+    const { token, key } = await registry.createKey({ name: 'wp-site', scopes: ['encrypt', 'decrypt'], expiresAt: '2999-01-01T00:00:00Z' });
+    expect(key).toMatchObject({ name: 'wp-site', scopes: ['encrypt', 'decrypt'], status: 'active', lastUsedAt: null });
+    expect(ApiKeyRegistry.parseToken(token).keyId).toBe(key.keyId);
+
+    const stored = fs.readFileSync(registryFile, 'utf8');
+    expect(stored).not.toContain(ApiKeyRegistry.parseToken(token).secret);
+
+    await expect(registry.authenticate(token))
+      .resolves.toEqual({ keyId: key.keyId, name: 'wp-site', scopes: ['encrypt', 'decrypt'] });
+    expect((await registry.listKeys())[0].lastUsedAt).not.toBeNull();
+
+    const wrongSecret = `${token.slice(0, -1)}${token.endsWith('A') ? 'B' : 'A'}`;
+    await expect(registry.authenticate(wrongSecret))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.KEY_NOT_FOUND });
+    await expect(registry.createKey({ name: 'typo', scopes: ['encrpyt'] }))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.INVALID_INPUT });
+  });
+
+  test('should record use without rewriting the registry', async () => {
+    const { token, key } = await registry.createKey({ name: 'wp-site', scopes: ['encrypt'] });
+    const before = fs.readFileSync(registryFile, 'utf8');
+
+    await registry.authenticate(token);
+    expect(fs.readFileSync(registryFile, 'utf8')).toBe(before);
+    expect(JSON.parse(fs.readFileSync(path.join(directory, 'api-keys.usage.json'), 'utf8'))).toHaveProperty(key.keyId);
+
+    // A revocation by the CLI while a request is in flight stays in place
+    const store = new FileApiKeyStore(registryFile);
+    const load = store.load.bind(store);
+    store.load = async () => {
+      const loaded = await load();
+      await new ApiKeyRegistry({ store: new FileApiKeyStore(registryFile) }).revokeKey(key.keyId);
+      return loaded;
+    };
+    fs.rmSync(path.join(directory, 'api-keys.usage.json'));
+    await new ApiKeyRegistry({ store }).authenticate(token);
+
+    await expect(registry.authenticate(token))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.KEY_REVOKED });
+    expect((await registry.listKeys())[0]).toMatchObject({ status: 'revoked', lastUsedAt: expect.any(String) });
+  });
+
+  test('should keep both keys valid during a rotation and refuse revoked keys', async () => {
+    const first = await registry.createKey({ name: 'wp-site', scopes: ['encrypt'] });
+    const second = await registry.rotateKey(first.key.keyId, { overlapSeconds: 3600 });
+
+    expect(second.key).toMatchObject({ name: 'wp-site', scopes: ['encrypt'], rotatedFrom: first.key.keyId });
+    expect(Date.parse(second.previous.expiresAt)).toBeGreaterThan(Date.now());
+    await expect(registry.authenticate(first.token)).resolves.toMatchObject({ keyId: first.key.keyId });
+    await expect(registry.authenticate(second.token)).resolves.toMatchObject({ keyId: second.key.keyId });
+
+    // Without an overlap the old key stops working at once
+    const third = await registry.rotateKey(second.key.keyId, { overlapSeconds: 0 });
+    await expect(registry.authenticate(second.token))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.KEY_EXPIRED });
+
+    await registry.revokeKey(third.key.keyId);
+    await expect(registry.authenticate(third.token))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.KEY_REVOKED });
+    expect((await registry.listKeys()).map(key => key.status)).toEqual(['active', 'expired', 'revoked']);
+  });
+
+  test('should give registry keys only their scopes', async () => {
+    const intake = await registry.createKey({ name: 'intake', scopes: ['encrypt'] });
+    const admin = await registry.createKey({ name: 'operator', scopes: ['admin'] });
+    process.env.PQLS_API_KEYS = fs.readFileSync(registryFile, 'utf8');
+
+    const bearer = (token) => ({ authorization: `Bearer ${token}` });
+    const decrypt = await decryptHandler(testUtils.createMockEvent('POST', { encryptedData: 'x', privateKey: 'y' }, bearer(intake.token)));
+    expect(decrypt.statusCode).toBe(403);
+    expect(JSON.parse(decrypt.body).code).toBe(RequestAuth.ERROR_CODES.INSUFFICIENT_SCOPE);
+
+    const status = await statusHandler(testUtils.createMockEvent('GET', null, bearer(admin.token)));
+    expect(status.statusCode).not.toBe(401);
+    expect(status.statusCode).not.toBe(403);
+
+    // The deployed registry is what counts, so a revocation takes effect once it is redeployed
+    await registry.revokeKey(admin.key.keyId);
+    process.env.PQLS_API_KEYS = fs.readFileSync(registryFile, 'utf8');
+    const revoked = await statusHandler(testUtils.createMockEvent('GET', null, bearer(admin.token)));
+    expect(revoked.statusCode).toBe(401);
+    expect(JSON.parse(revoked.body).code).toBe(ApiKeyRegistry.ERROR_CODES.KEY_REVOKED);
+  });
+
+  test('should let keys sign requests with a secret wrapped under the master key', async () => {
+    const masterKey = Buffer.alloc(32, 7);
+    const signingRegistry = new ApiKeyRegistry({ store: new FileApiKeyStore(registryFile), masterKey });
+    const { token, key } = await signingRegistry.createKey({ name: 'wp-site', scopes: ['encrypt'] });
+    const bearerOnly = await registry.createKey({ name: 'legacy', scopes: ['encrypt'] });
+    expect(key.signing).toBe(true);
+    expect(bearerOnly.key.signing).toBe(false);
+
+    const credentials = ApiKeyRegistry.signingCredentials(token);
+    expect(credentials.keyId).toBe(key.keyId);
+    expect(fs.readFileSync(registryFile, 'utf8')).not.toContain(credentials.secret);
+
+    process.env.PQLS_API_KEYS = fs.readFileSync(registryFile, 'utf8');
+    process.env.PQLS_API_KEYS_MASTER_KEY = masterKey.toString('base64');
+    const body = JSON.stringify({ data: 'x' });
+    const signed = (keyId, secret) => ({
+      httpMethod: 'POST',
+      body: body,
+      headers: RequestAuth.signRequest({ keyId, secret, method: 'POST', path: '/encrypt', body })
+    });
+    const options = { endpoint: '/encrypt', scopes: ['encrypt'] };
+
+    await expect(RequestAuth.authenticate(signed(credentials.keyId, credentials.secret), options))
+      .resolves.toEqual({ keyId: key.keyId, scopes: ['encrypt'], method: 'hmac', tenant: 'wp-site' });
+    await expect(RequestAuth.authenticate(signed(credentials.keyId, ApiKeyRegistry.parseToken(token).secret), options))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.INVALID_SIGNATURE });
+    await expect(RequestAuth.authenticate(signed(bearerOnly.key.keyId, ApiKeyRegistry.signingCredentials(bearerOnly.token).secret), options))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.UNKNOWN_KEY });
+
+    // Without the right master key the registry cannot check signatures
+    process.env.PQLS_API_KEYS_MASTER_KEY = Buffer.alloc(32, 8).toString('base64');
+    await expect(RequestAuth.authenticate(signed(credentials.keyId, credentials.secret), options))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.REGISTRY_INVALID });
+
+    await signingRegistry.revokeKey(key.keyId);
+    process.env.PQLS_API_KEYS = fs.readFileSync(registryFile, 'utf8');
+    process.env.PQLS_API_KEYS_MASTER_KEY = masterKey.toString('base64');
+    await expect(RequestAuth.authenticate(signed(credentials.keyId, credentials.secret), options))
+      .rejects.toMatchObject({ code: ApiKeyRegistry.ERROR_CODES.KEY_REVOKED });
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for the server-side key vault
+ * Tests record storage, master-key wrapping and backend selection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PostQuantumCrypto = require('../../netlify/functions/crypto-utils');
+const KeyVault = require('../../netlify/functions/key-vault');
+const { FileKeyStore, LocalKeyWrapper, KmsKeyWrapper } = KeyVault;
+
+describe('KeyVault Unit Tests', () => {
+  const masterKey = Buffer.alloc(32, 9);
+  let directory;
+  let vault;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pqls-vault-'));
+    vault = new KeyVault({ store: new FileKeyStore(directory), wrapper: new LocalKeyWrapper(masterKey) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should generate keys that only leave the vault as public keys', async () => {
+    let key;
+    try {
+      key = await vault.generateKey({ securityLevel: 'standard', hybrid: true, label: 'site-42' });
+    } catch (error) {
+      return; // Skip if OQS not available
+    }
+
+    expect(key).toMatchObject({ algorithm: 'X25519+ML-KEM-768', label: 'site-42' });
+    expect(key).not.toHaveProperty('privateKey');
+    expect(PostQuantumCrypto.computeKeyId(key.publicKey)).toBe(key.keyId);
+    expect(await vault.listKeys()).toEqual([key]);
+
+    const stored = fs.readFileSync(path.join(directory, `${key.keyId}.json`), 'utf8');
+    const privateKey = await vault.loadPrivateKey(key.keyId);
+    expect(stored).not.toContain(privateKey);
+
+    const pqCrypto = new PostQuantumCrypto();
+    await pqCrypto.initialize();
+    const envelope = await pqCrypto.encrypt('vaulted value', key.publicKey, key.algorithm);
+    expect(await pqCrypto.decrypt(envelope, privateKey)).toBe('vaulted value');
+
+    await expect(vault.importKey({ privateKey, algorithm: key.algorithm }))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.KEY_EXISTS });
+  });
+
+  test('should refuse altered records and other master keys', async () => {
+    const pqCrypto = new PostQuantumCrypto();
+    try {
+      await pqCrypto.initialize();
+    } catch (error) {
+      return; // Skip if OQS not available
+    }
+
+    const [first, second] = [await pqCrypto.generateKeypair('standard'), await pqCrypto.generateKeypair('standard')];
+    const firstKey = await vault.importKey({ privateKey: first.privateKey, algorithm: first.algorithm });
+    const secondKey = await vault.importKey({ privateKey: second.privateKey, algorithm: second.algorithm });
+    expect(firstKey.keyId).toBe(first.keyId);
+
+    // Moving one key's wrapped bytes into another record breaks the authenticated header
+    const firstPath = path.join(directory, `${firstKey.keyId}.json`);
+    const record = JSON.parse(fs.readFileSync(firstPath, 'utf8'));
+    const secondRecord = JSON.parse(fs.readFileSync(path.join(directory, `${secondKey.keyId}.json`), 'utf8'));
+    fs.writeFileSync(firstPath, JSON.stringify({ ...record, wrappedKey: secondRecord.wrappedKey }));
+    await expect(vault.loadPrivateKey(firstKey.keyId))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.UNWRAP_FAILED });
+
+    const otherVault = new KeyVault({ store: new FileKeyStore(directory), wrapper: new LocalKeyWrapper(Buffer.alloc(32, 1)) });
+    await expect(otherVault.loadPrivateKey(secondKey.keyId))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.UNWRAP_FAILED });
+    await expect(vault.loadPrivateKey('0'.repeat(32)))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.KEY_NOT_FOUND });
+    await expect(vault.importKey({ privateKey: Buffer.alloc(64).toString('base64'), algorithm: 'ML-KEM-768' }))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.INVALID_INPUT });
+  });
+
+  test('should keep keys to the API key that created them', async () => {
+    const pqCrypto = new PostQuantumCrypto();
+    try {
+      await pqCrypto.initialize();
+    } catch (error) {
+      return; // Skip if OQS not available
+    }
+
+    const siteA = { keyId: 'k-1', scopes: ['keys', 'decrypt'], method: 'bearer', tenant: 'site-a' };
+    const siteB = { keyId: 'k-2', scopes: ['keys', 'decrypt'], method: 'bearer', tenant: 'site-b' };
+    const admin = { keyId: 'default', scopes: ['admin'], method: 'bearer' };
+
+    const keypair = await pqCrypto.generateKeypair('standard');
+    const key = await vault.importKey({ privateKey: keypair.privateKey, algorithm: keypair.algorithm, owner: KeyVault.ownerOf(siteA) });
+    expect(key.owner).toBe('site-a');
+
+    // A rotated registry key keeps its name, and so its keys
+    expect(await vault.loadPrivateKey(key.keyId, { ...siteA, keyId: 'k-3' })).toBe(keypair.privateKey);
+    expect(await vault.loadPrivateKey(key.keyId, admin)).toBe(keypair.privateKey);
+    expect(await vault.listKeys(siteA)).toEqual([key]);
+    expect(await vault.listKeys(siteB)).toEqual([]);
+    await expect(vault.loadPrivateKey(key.keyId, siteB))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.ACCESS_DENIED });
+    await expect(vault.getKey(key.keyId, siteB))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.ACCESS_DENIED });
+
+    // Keys from before owners were recorded are left to admin keys
+    const legacy = await pqCrypto.generateKeypair('standard');
+    const legacyKey = await vault.importKey({ privateKey: legacy.privateKey, algorithm: legacy.algorithm });
+    await expect(vault.loadPrivateKey(legacyKey.keyId, siteA))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.ACCESS_DENIED });
+    expect(await vault.loadPrivateKey(legacyKey.keyId, admin)).toBe(legacy.privateKey);
+
+    // The owner is authenticated by the wrap, so reassigning it in the store breaks the record
+    const recordPath = path.join(directory, `${key.keyId}.json`);
+    const record = JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+    fs.writeFileSync(recordPath, JSON.stringify({ ...record, owner: 'site-b' }));
+    await expect(vault.loadPrivateKey(key.keyId, siteB))
+      .rejects.toMatchObject({ code: KeyVault.ERROR_CODES.UNWRAP_FAILED });
+  });
+
+  test('should open the configured backend', async () => {
+    expect(() => KeyVault.fromEnvironment({}))
+      .toThrow(expect.objectContaining({ code: KeyVault.ERROR_CODES.VAULT_NOT_CONFIGURED }));
+    expect(() => KeyVault.fromEnvironment({ PQLS_VAULT_BACKEND: 'missing' }))
+      .toThrow(expect.objectContaining({ code: KeyVault.ERROR_CODES.BACKEND_NOT_SUPPORTED }));
+    expect(KeyVault.fromEnvironment({ PQLS_VAULT_DIR: directory, PQLS_VAULT_MASTER_KEY: masterKey.toString('base64') }).wrapper.kek)
+      .toBe(new LocalKeyWrapper(masterKey).kek);
+
+    // A KMS-style client wraps with the associated data it is given
+    const kmsKey = Buffer.alloc(32, 3);
+    const local = new LocalKeyWrapper(kmsKey);
+    const client = {
+      encrypt: async ({ plaintext, aad }) => ({ ciphertext: Buffer.from(JSON.stringify(await local.wrap(plaintext, aad))) }),
+      decrypt: async ({ ciphertext, aad }) => ({ plaintext: await local.unwrap(JSON.parse(ciphertext.toString()), aad) })
+    };
+    KeyVault.registerBackend('test-kms', () => ({
+      store: new FileKeyStore(directory),
+      wrapper: new KmsKeyWrapper(client, { keyName: 'projects/test/keys/pqls' })
+    }));
+
+    const kmsVault = KeyVault.fromEnvironment({ PQLS_VAULT_BACKEND: 'test-kms' });
+    const aad = KeyVault.buildAssociatedData({ version: KeyVault.RECORD_VERSION, keyId: 'a'.repeat(32), algorithm: 'ML-KEM-768' });
+    const wrapped = await kmsVault.wrapper.wrap(Buffer.from('secret key'), aad);
+    expect(wrapped.kek).toBe('kms:projects/test/keys/pqls');
+    expect((await kmsVault.wrapper.unwrap(wrapped, aad)).toString()).toBe('secret key');
+    await expect(kmsVault.wrapper.unwrap(wrapped, Buffer.from('other'))).rejects.toThrow();
+  });
+});
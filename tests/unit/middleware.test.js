@@ -0,0 +1,118 @@
+/**
+ * Unit tests for the shared function middleware
+ * Tests the error envelope, request IDs, body checks and CORS
+ */
+
+const Middleware = require('../../netlify/functions/middleware');
+const { handler: decryptHandler } = require('../../netlify/functions/decrypt');
+const { handler: monitorHandler } = require('../../netlify/functions/monitor');
+
+describe('Middleware Unit Tests', () => {
+  const bearer = () => ({ authorization: `Bearer ${process.env.PQLS_API_KEY}` });
+
+  afterEach(() => {
+    delete process.env.PQLS_CORS_ORIGINS;
+  });
+
+  test('should return the same error envelope from every function', async () => {
+    const wrongMethod = await decryptHandler(testUtils.createMockEvent('GET', null, { 'x-request-id': 'trace-123' }));
+    expect(wrongMethod.statusCode).toBe(405);
+    expect(wrongMethod.headers).toMatchObject({ 'Allow': 'POST', 'Content-Type': 'application/json', 'X-Request-Id': 'trace-123' });
+    expect(JSON.parse(wrongMethod.body)).toMatchObject({ error: 'Method Not Allowed', code: 'METHOD_NOT_ALLOWED', requestId: 'trace-123' });
+
+    // Responses built by the auth guard and the handler get a code and request ID too
+    const unauthenticated = JSON.parse((await decryptHandler(testUtils.createMockEvent('POST', {}))).body);
+    expect(unauthenticated.code).toBe('AUTH_REQUIRED');
+    expect(unauthenticated.requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+    const missing = await decryptHandler(testUtils.createMockEvent('POST', {}, bearer()));
+    expect(missing.statusCode).toBe(400);
+    expect(JSON.parse(missing.body)).toMatchObject({ code: 'VALIDATION_FAILED', field: 'encryptedData', error: expect.stringContaining('Missing encryptedData') });
+    expect(missing.headers['Server-Timing']).toMatch(/^total;dur=/);
+  });
+
+  test('should check the body before the handler and map thrown errors', async () => {
+    const calls = [];
+    const handler = Middleware.createHandler({
+      methods: ['POST'],
+      auth: { endpoint: '/test', scopes: ['encrypt'] },
+      bodyLimit: 64,
+      schema: { name: { type: 'string', required: true, maxLength: 8 } },
+      errorMessage: 'Test failed',
+      errors: { KNOWN_PROBLEM: 422 }
+    }, async ({ body }) => {
+      calls.push(body.name);
+      if (body.name === 'known') {
+        throw Object.assign(new Error('known problem'), { code: 'KNOWN_PROBLEM' });
+      }
+      throw new Error('secret internal detail');
+    });
+    const call = async (body) => {
+      const response = await handler({ httpMethod: 'POST', body, headers: bearer() });
+      return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+    };
+
+    expect(await call('x'.repeat(65))).toMatchObject({ statusCode: 413, body: { code: 'PAYLOAD_TOO_LARGE' } });
+    expect(await call('{"name":')).toMatchObject({ statusCode: 400, body: { code: 'INVALID_JSON' } });
+    expect(await call('{"name":"far too long"}')).toMatchObject({ statusCode: 400, body: { code: 'VALIDATION_FAILED', field: 'name' } });
+    expect(calls).toEqual([]);
+
+    expect(await call('{"name":"known"}')).toMatchObject({
+      statusCode: 422,
+      body: { error: 'Test failed', details: 'known problem', code: 'KNOWN_PROBLEM' }
+    });
+    expect((await call('{"name":"known"}')).body).not.toHaveProperty('errorCode');
+
+    // Errors without a code are unexpected, so their message stays in the logs
+    const unexpected = await call('{"name":"other"}');
+    expect(unexpected).toMatchObject({ statusCode: 500, body: { error: 'Test failed', code: 'INTERNAL_ERROR' } });
+    expect(JSON.stringify(unexpected.body)).not.toContain('secret internal detail');
+  });
+
+  test('should check fields that depend on other fields or on run-time lists', async () => {
+    const ciphers = ['AES-256-GCM'];
+    const handler = Middleware.createHandler({
+      methods: ['POST'],
+      auth: { endpoint: '/test', scopes: ['encrypt'] },
+      schema: {
+        privateKey: { type: 'string', requiredWithout: 'keyId' },
+        cipher: { enum: () => ciphers, message: cipher => `Invalid cipher: ${cipher}` }
+      }
+    }, async () => ({ statusCode: 200, body: '{}' }));
+    const call = async (body) => {
+      const response = await handler({ httpMethod: 'POST', body: JSON.stringify(body), headers: bearer() });
+      return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+    };
+
+    expect(await call({})).toMatchObject({ statusCode: 400, body: { code: 'VALIDATION_FAILED', field: 'privateKey' } });
+    expect((await call({ keyId: 'vault-key' })).statusCode).toBe(200);
+    expect(await call({ keyId: 'vault-key', cipher: 'ChaCha20-Poly1305' }))
+      .toMatchObject({ statusCode: 400, body: { error: 'Invalid cipher: ChaCha20-Poly1305', field: 'cipher' } });
+
+    ciphers.push('ChaCha20-Poly1305');
+    expect((await call({ keyId: 'vault-key', cipher: 'ChaCha20-Poly1305' })).statusCode).toBe(200);
+  });
+
+  test('should answer preflight requests for allowed origins only', async () => {
+    const preflight = { httpMethod: 'OPTIONS', headers: { origin: 'https://dashboard.example' } };
+
+    const open = await monitorHandler(preflight);
+    expect(open.statusCode).toBe(204);
+    expect(open.headers).toMatchObject({ 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Methods': 'GET, POST, OPTIONS' });
+    expect(open.headers['Access-Control-Allow-Headers']).toContain('Authorization');
+
+    process.env.PQLS_CORS_ORIGINS = 'https://admin.example, https://dashboard.example';
+    const listed = await monitorHandler(preflight);
+    expect(listed.headers).toMatchObject({ 'Access-Control-Allow-Origin': 'https://dashboard.example', 'Vary': 'Origin' });
+
+    const other = await decryptHandler({ httpMethod: 'POST', body: '{}', headers: { origin: 'https://evil.example' } });
+    expect(other.statusCode).toBe(401);
+    expect(other.headers['Access-Control-Allow-Origin']).toBeUndefined();
+
+    // Functions without origins of their own send no CORS headers unless PQLS_CORS_ORIGINS is set
+    delete process.env.PQLS_CORS_ORIGINS;
+    const closed = await decryptHandler({ ...preflight, headers: { origin: 'https://dashboard.example' } });
+    expect(closed.statusCode).toBe(405);
+    expect(closed.headers['Access-Control-Allow-Origin']).toBeUndefined();
+  });
+});
@@ -422,7 +422,7 @@ describe('Migration Execution and Monitoring Tests', () => {
       let processedCount = 0;
       
       for (const entry of testEntries) {
-        const encrypted = await crypto.encrypt(entry.data, keypair.publicKey, keypair.algorithm);
+        await crypto.encrypt(entry.data, keypair.publicKey, keypair.algorithm);
         processedCount++;
         
         // Log progress every 5 entries
@@ -517,7 +517,7 @@ describe('Migration Execution and Monitoring Tests', () => {
             throw new Error('Invalid data');
           }
           
-          const encrypted = await crypto.encrypt(entry.data, keypair.publicKey, keypair.algorithm);
+          await crypto.encrypt(entry.data, keypair.publicKey, keypair.algorithm);
           successCount++;
           
           mockWordPressEnvironment.logAuditEvent('entry_migration_success', {
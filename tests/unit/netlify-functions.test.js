@@ -3,9 +3,21 @@
  * Tests individual function behavior and error handling
  */
 
-const { handler: generateKeypairHandler } = require('../../netlify/functions/generate-keypair');
-const { handler: encryptHandler } = require('../../netlify/functions/encrypt');
+const generateKeypairHandler = testUtils.authorized(require('../../netlify/functions/generate-keypair').handler);
+const encryptHandler = testUtils.authorized(require('../../netlify/functions/encrypt').handler);
 const { handler: decryptHandler } = require('../../netlify/functions/decrypt');
+const encryptStreamHandler = testUtils.authorized(require('../../netlify/functions/encrypt-stream').handler);
+const encryptBatchHandler = testUtils.authorized(require('../../netlify/functions/encrypt-batch').handler);
+const { handler: rewrapHandler } = require('../../netlify/functions/rewrap');
+const { handler: signHandler } = require('../../netlify/functions/sign');
+const verifyHandler = testUtils.authorized(require('../../netlify/functions/verify').handler);
+const { handler: convertKeyHandler } = require('../../netlify/functions/convert-key');
+const { handler: splitKeyHandler } = require('../../netlify/functions/split-key');
+const { handler: combineKeyHandler } = require('../../netlify/functions/combine-key');
+const { handler: blindIndexHandler } = require('../../netlify/functions/blind-index');
+const { handler: vaultKeysHandler } = require('../../netlify/functions/vault-keys');
+const PostQuantumCrypto = require('../../netlify/functions/crypto-utils');
+const RequestAuth = require('../../netlify/functions/request-auth');
 
 describe('Netlify Functions Unit Tests', () => {
   
@@ -23,7 +35,7 @@ describe('Netlify Functions Unit Tests', () => {
           expect(body).toHaveProperty('algorithm');
           expect(body).toHaveProperty('securityLevel', 'standard');
           expect(body).toHaveProperty('metadata');
-          expect(body.metadata).toHaveProperty('version', 'pq-v1');
+          expect(body.metadata).toHaveProperty('version', 'pq-v2');
         } else {
           // If OQS library is not available, expect appropriate error
           expect(response.statusCode).toBeGreaterThanOrEqual(500);
@@ -67,6 +79,20 @@ describe('Netlify Functions Unit Tests', () => {
       expect(body.error).toContain('Invalid security level');
     });
 
+    test('should reject invalid key modes', async () => {
+      const event = {
+        ...testUtils.createMockEvent('GET'),
+        queryStringParameters: { mode: 'classical' }
+      };
+
+      const response = await generateKeypairHandler(event);
+      expect(response.statusCode).toBe(400);
+
+      const body = JSON.parse(response.body);
+      expect(body).toMatchObject({ code: 'VALIDATION_FAILED', field: 'mode' });
+      expect(body.supportedModes).toEqual(['pq', 'hybrid']);
+    });
+
     test('should handle missing OQS library gracefully', async () => {
       // This test will naturally pass if OQS is not available
       const event = testUtils.createMockEvent('GET');
@@ -78,7 +104,8 @@ describe('Netlify Functions Unit Tests', () => {
       const body = JSON.parse(response.body);
       if (response.statusCode !== 200) {
         expect(body).toHaveProperty('error');
-        expect(body).toHaveProperty('errorCode');
+        expect(body).toHaveProperty('code');
+        expect(body).not.toHaveProperty('errorCode');
       }
     });
   });
@@ -136,7 +163,7 @@ describe('Netlify Functions Unit Tests', () => {
           expect(body).toHaveProperty('success', true);
           expect(body).toHaveProperty('encryptedData');
           expect(body).toHaveProperty('metadata');
-          expect(body.encryptedData).toHaveProperty('version', 'pq-v1');
+          expect(body.encryptedData).toHaveProperty('version', 'pq-v2');
         } else {
           // If encryption fails due to missing OQS, that's expected
           const body = JSON.parse(response.body);
@@ -163,6 +190,21 @@ describe('Netlify Functions Unit Tests', () => {
       expect(body.error).toContain('Unsupported algorithm');
     });
 
+    test('should reject malformed authenticated context', async () => {
+      const event = testUtils.createMockEvent('POST', {
+        data: 'Test data',
+        publicKey: 'dGVzdA==',
+        algorithm: 'ML-KEM-768',
+        context: { form_id: 3, nested: { field_id: 7 } }
+      });
+
+      const response = await encryptHandler(event);
+      expect(response.statusCode).toBe(400);
+
+      const body = JSON.parse(response.body);
+      expect(body.code).toBe('INVALID_CONTEXT');
+    });
+
     test('should handle invalid JSON in request body', async () => {
       const event = {
         httpMethod: 'POST',
@@ -176,6 +218,18 @@ describe('Netlify Functions Unit Tests', () => {
       const body = JSON.parse(response.body);
       expect(body.error).toContain('Invalid JSON');
     });
+
+    test('should reject malformed recipient lists', async () => {
+      const event = testUtils.createMockEvent('POST', {
+        data: 'test data',
+        publicKeys: [],
+        algorithm: 'ML-KEM-768'
+      });
+
+      const response = await encryptHandler(event);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toContain('publicKeys');
+    });
   });
 
   describe('Decrypt Function', () => {
@@ -284,8 +338,241 @@ describe('Netlify Functions Unit Tests', () => {
       expect(response.statusCode).toBe(400);
       
       const body = JSON.parse(response.body);
-      // Updated to match the more specific error message from RSA fallback utility
-      expect(body.error).toContain('Invalid RSA private key format');
+      expect(body.code).toBe('RSA_INVALID_KEY_FORMAT');
+      expect(body.details).toContain('Invalid RSA private key format');
+    });
+
+    test('should decrypt compact envelopes', async () => {
+      if (!testKeypair || testKeypair.fallbackUsed) return;
+
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'Compact field value',
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        format: 'compact'
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+
+      const encryptBody = JSON.parse(encryptResponse.body);
+      expect(encryptBody.metadata.format).toBe('compact');
+      expect(encryptBody.encryptedData.startsWith('pqc:')).toBe(true);
+
+      const response = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: encryptBody.encryptedData,
+        privateKey: testKeypair.privateKey
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).decryptedData).toBe('Compact field value');
+    });
+
+    test('should encrypt with a selected data cipher', async () => {
+      if (!testKeypair || testKeypair.fallbackUsed) return;
+
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'ChaCha field value',
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        cipher: 'ChaCha20-Poly1305'
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+
+      const encryptBody = JSON.parse(encryptResponse.body);
+      expect(encryptBody.metadata.algorithm).toBe(`${testKeypair.algorithm}+ChaCha20-Poly1305`);
+
+      const response = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: encryptBody.encryptedData,
+        privateKey: testKeypair.privateKey
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).decryptedData).toBe('ChaCha field value');
+
+      const invalidResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'ChaCha field value',
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        cipher: 'DES-EDE3'
+      }));
+      expect(invalidResponse.statusCode).toBe(400);
+    });
+
+    test('should pad values when a form turns padding on', async () => {
+      if (!testKeypair || testKeypair.fallbackUsed) return;
+
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'Type 2 diabetes',
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        padding: true
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+
+      const encryptBody = JSON.parse(encryptResponse.body);
+      expect(encryptBody.metadata.padding).toBe('bucket-32');
+      expect(Buffer.from(encryptBody.encryptedData.encryptedData, 'base64')).toHaveLength(32);
+
+      const response = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: encryptBody.encryptedData,
+        privateKey: testKeypair.privateKey
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).decryptedData).toBe('Type 2 diabetes');
+
+      const compactResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'Type 2 diabetes',
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        padding: 'padme',
+        format: 'compact'
+      }));
+      expect(compactResponse.statusCode).toBe(400);
+    });
+
+    test('should rewrap stored envelopes for a new key', async () => {
+      if (!testKeypair || testKeypair.fallbackUsed) return;
+
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'rotated value',
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        keyWrap: true
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+      const stored = JSON.parse(encryptResponse.body).encryptedData;
+      expect(stored.version).toBe('pq-v2-wrapped');
+
+      const newKeypair = JSON.parse((await generateKeypairHandler(testUtils.createMockEvent('GET'))).body);
+      const rewrapEvent = (encryptedData, headers) => testUtils.createMockEvent('POST', {
+        encryptedData,
+        privateKey: testKeypair.privateKey,
+        publicKey: newKeypair.publicKey,
+        algorithm: newKeypair.algorithm
+      }, headers);
+
+      const unauthorized = await rewrapHandler(rewrapEvent(stored, {}));
+      expect(unauthorized.statusCode).toBe(401);
+
+      const tooMany = await rewrapHandler(rewrapEvent(new Array(101).fill(stored), { authorization: 'Bearer test-api-key-12345' }));
+      expect(tooMany.statusCode).toBe(400);
+      expect(JSON.parse(tooMany.body)).toMatchObject({ code: 'VALIDATION_FAILED', field: 'encryptedData' });
+
+      // A single envelope that cannot be rewrapped gets the same error envelope as /decrypt
+      const single = await rewrapHandler(rewrapEvent({ version: 'pq-v2' }, { authorization: 'Bearer test-api-key-12345' }));
+      expect(single.statusCode).toBe(400);
+      expect(JSON.parse(single.body)).toMatchObject({ error: 'Rewrap failed', code: 'INVALID_DATA_FORMAT' });
+
+      const response = await rewrapHandler(rewrapEvent([stored, { version: 'pq-v2' }], {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(response.statusCode).toBe(200);
+
+      const body = JSON.parse(response.body);
+      expect(body.metadata).toMatchObject({ keyId: newKeypair.keyId, rewrapped: 1, total: 2 });
+      expect(body.failed).toEqual([expect.objectContaining({ index: 1, code: 'INVALID_DATA_FORMAT' })]);
+      expect(body.encryptedData[0].encryptedData).toBe(stored.encryptedData);
+
+      const decryptResponse = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: body.encryptedData[0],
+        privateKey: newKeypair.privateKey
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(JSON.parse(decryptResponse.body).decryptedData).toBe('rotated value');
+    });
+
+    test('should decrypt a batch-encrypted form submission', async () => {
+      if (!testKeypair || testKeypair.fallbackUsed) return;
+
+      const encryptResponse = await encryptBatchHandler(testUtils.createMockEvent('POST', {
+        fields: { email: 'ada@example.com', phone: '+44 20 7946 0000', notes: '' },
+        publicKey: testKeypair.publicKey,
+        algorithm: testKeypair.algorithm,
+        context: { form_id: 3, entry_id: 42 }
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+
+      const encryptBody = JSON.parse(encryptResponse.body);
+      expect(encryptBody.encryptedData.version).toBe('pq-v2-batch');
+      expect(encryptBody.metadata.fields).toBe(3);
+      expect(encryptBody.metadata.keyId).toBe(testKeypair.keyId);
+
+      const response = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: encryptBody.encryptedData,
+        privateKey: testKeypair.privateKey,
+        context: { form_id: 3, entry_id: 42 },
+        fieldIds: ['email', 'notes']
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).decryptedData).toEqual({ email: 'ada@example.com', notes: '' });
+    });
+
+    test('should report a key mismatch for the wrong private key', async () => {
+      if (!testKeypair || !testEncrypted || testKeypair.fallbackUsed) return;
+
+      expect(testEncrypted.keyId).toBe(testKeypair.keyId);
+
+      const otherKeypair = JSON.parse((await generateKeypairHandler(testUtils.createMockEvent('GET'))).body);
+      const response = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: testEncrypted,
+        privateKey: otherKeypair.privateKey
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).code).toBe('KEY_MISMATCH');
+    });
+
+    test('should decrypt with a passphrase-protected private key', async () => {
+      const keypairResponse = await generateKeypairHandler({
+        ...testUtils.createMockEvent('POST', { passphrase: 'correct horse battery' }),
+        queryStringParameters: { security: 'standard' }
+      });
+      if (keypairResponse.statusCode !== 200) return;
+
+      const protectedKeypair = JSON.parse(keypairResponse.body);
+      expect(protectedKeypair.privateKeyProtected).toBe(true);
+      expect(protectedKeypair.privateKey.version).toBe('pq-key-v1');
+
+      const encryptBody = JSON.parse((await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'Protected key data',
+        publicKey: protectedKeypair.publicKey,
+        algorithm: protectedKeypair.algorithm
+      }))).body);
+
+      const decrypt = (body) => decryptHandler(testUtils.createMockEvent('POST', body, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+
+      const response = await decrypt({
+        encryptedData: encryptBody.encryptedData,
+        privateKey: protectedKeypair.privateKey,
+        passphrase: 'correct horse battery'
+      });
+      expect(response.statusCode).toBe(200);
+      expect(JSON.parse(response.body).decryptedData).toBe('Protected key data');
+
+      const missing = await decrypt({
+        encryptedData: encryptBody.encryptedData,
+        privateKey: JSON.stringify(protectedKeypair.privateKey)
+      });
+      expect(missing.statusCode).toBe(400);
+      expect(JSON.parse(missing.body).code).toBe('PASSPHRASE_REQUIRED');
+    });
+
+    test('should not accept a passphrase in the query string', async () => {
+      const response = await generateKeypairHandler({
+        ...testUtils.createMockEvent('GET'),
+        queryStringParameters: { passphrase: 'correct horse battery' }
+      });
+      expect(response.statusCode).toBe(400);
     });
 
     test('should detect encryption type correctly', async () => {
@@ -308,6 +595,405 @@ describe('Netlify Functions Unit Tests', () => {
     });
   });
 
+  describe('Encrypt Stream Function', () => {
+    test('should reject requests without an upload', async () => {
+      const event = testUtils.createMockEvent('POST', {
+        publicKey: 'key',
+        algorithm: 'ML-KEM-768'
+      });
+
+      const response = await encryptStreamHandler(event);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).error).toContain('Missing file part');
+    });
+
+    test('should read file parts from multipart bodies', async () => {
+      const boundary = 'pqls-test-boundary';
+      const body = [
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="algorithm"',
+        '',
+        'ML-KEM-768',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="upload"; filename="id.pdf"',
+        'Content-Type: application/pdf',
+        '',
+        '%PDF-1.7',
+        `--${boundary}--`,
+        ''
+      ].join('\r\n');
+
+      const event = testUtils.createMockEvent('POST', {}, {
+        'content-type': `multipart/form-data; boundary=${boundary}`
+      });
+      event.body = body;
+
+      // The file part is found, so validation stops at the missing public key
+      const response = await encryptStreamHandler(event);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body)).toMatchObject({ code: 'VALIDATION_FAILED', field: 'publicKey' });
+    });
+
+    test('should refuse uploads over the body and file limits', async () => {
+      const request = (data) => testUtils.createMockEvent('POST', { data, publicKey: 'key', algorithm: 'ML-KEM-768' });
+
+      // Over the 6 MB body limit: refused before the body is parsed
+      const body = await encryptStreamHandler(request('A'.repeat(6 * 1024 * 1024)));
+      expect(body.statusCode).toBe(413);
+      expect(JSON.parse(body.body).code).toBe('PAYLOAD_TOO_LARGE');
+
+      // Under the body limit, but the decoded file is over 4 MB
+      const file = await encryptStreamHandler(request(Buffer.alloc(4 * 1024 * 1024 + 1).toString('base64')));
+      expect(file.statusCode).toBe(413);
+      expect(JSON.parse(file.body).maxBytes).toBe(4 * 1024 * 1024);
+    });
+  });
+
+  describe('Encrypt Batch Function', () => {
+    test('should reject missing or oversized field maps', async () => {
+      const missing = await encryptBatchHandler(testUtils.createMockEvent('POST', {
+        publicKey: 'key',
+        algorithm: 'ML-KEM-768'
+      }));
+      expect(missing.statusCode).toBe(400);
+
+      const fields = {};
+      for (let i = 0; i <= 100; i++) {
+        fields[`field_${i}`] = 'value';
+      }
+      const oversized = await encryptBatchHandler(testUtils.createMockEvent('POST', {
+        fields,
+        publicKey: 'key',
+        algorithm: 'ML-KEM-768'
+      }));
+      expect(oversized.statusCode).toBe(400);
+      expect(JSON.parse(oversized.body)).toMatchObject({ code: 'VALIDATION_FAILED', field: 'fields', maxFields: 100 });
+    });
+  });
+
+  describe('Convert Key Function', () => {
+    const authHeaders = { authorization: 'Bearer test-api-key-12345' };
+
+    test('should require authorization', async () => {
+      const response = await convertKeyHandler(testUtils.createMockEvent('POST', { key: 'key', to: 'pem' }));
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should reject unknown target formats', async () => {
+      const response = await convertKeyHandler(testUtils.createMockEvent('POST', { key: 'key', to: 'xml' }, authHeaders));
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).supportedFormats).toEqual(['base64', 'raw', 'pem', 'jwk']);
+    });
+
+    test('should convert keys to PEM and JWK and back', async () => {
+      const keypairResponse = await generateKeypairHandler(testUtils.createMockEvent('GET'));
+      if (keypairResponse.statusCode !== 200) return;
+      const keypair = JSON.parse(keypairResponse.body);
+
+      const pemResponse = await convertKeyHandler(testUtils.createMockEvent('POST', {
+        key: keypair.publicKey,
+        to: 'pem'
+      }, authHeaders));
+      expect(pemResponse.statusCode).toBe(200);
+      const pem = JSON.parse(pemResponse.body);
+      expect(pem.key).toMatch(/^-----BEGIN PUBLIC KEY-----\n/);
+      expect(pem).toMatchObject({ format: 'pem', algorithm: keypair.algorithm, type: 'public', keyId: keypair.keyId });
+
+      const jwkResponse = await convertKeyHandler(testUtils.createMockEvent('POST', {
+        key: keypair.privateKey,
+        to: 'jwk'
+      }, authHeaders));
+      const jwk = JSON.parse(jwkResponse.body).key;
+      expect(jwk.kid).toBe(keypair.keyId);
+
+      const backResponse = await convertKeyHandler(testUtils.createMockEvent('POST', {
+        key: jwk,
+        to: 'base64'
+      }, authHeaders));
+      expect(JSON.parse(backResponse.body).key).toBe(keypair.privateKey);
+    });
+
+    test('should reject keys it cannot parse', async () => {
+      const response = await convertKeyHandler(testUtils.createMockEvent('POST', {
+        key: Buffer.alloc(10).toString('base64'),
+        to: 'pem'
+      }, authHeaders));
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).code).toBe('INVALID_KEY_FORMAT');
+    });
+  });
+
+  describe('Split and Combine Key Functions', () => {
+    const authHeaders = { authorization: 'Bearer test-api-key-12345' };
+
+    test('should require authorization', async () => {
+      const response = await splitKeyHandler(testUtils.createMockEvent('POST', { privateKey: 'key', threshold: 2, shares: 3 }));
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should recover a split key as a protected container', async () => {
+      const keypairResponse = await generateKeypairHandler(testUtils.createMockEvent('GET'));
+      if (keypairResponse.statusCode !== 200) return;
+      const keypair = JSON.parse(keypairResponse.body);
+      if (keypair.fallbackUsed) return;
+
+      const splitResponse = await splitKeyHandler(testUtils.createMockEvent('POST', {
+        privateKey: keypair.privateKey,
+        algorithm: keypair.algorithm,
+        threshold: 2,
+        shares: 3
+      }, authHeaders));
+      expect(splitResponse.statusCode).toBe(200);
+      const { shares, metadata } = JSON.parse(splitResponse.body);
+      expect(metadata).toMatchObject({ keyId: keypair.keyId, threshold: 2, shares: 3 });
+
+      const tooFew = await combineKeyHandler(testUtils.createMockEvent('POST', { shares: [shares[2]] }, authHeaders));
+      expect(tooFew.statusCode).toBe(400);
+      expect(JSON.parse(tooFew.body).code).toBe('INSUFFICIENT_SHARES');
+
+      const combineResponse = await combineKeyHandler(testUtils.createMockEvent('POST', {
+        shares: [shares[2], shares[0]],
+        passphrase: 'break glass passphrase'
+      }, authHeaders));
+      expect(combineResponse.statusCode).toBe(200);
+      const recovered = JSON.parse(combineResponse.body);
+      expect(recovered).toMatchObject({ keyId: keypair.keyId, protected: true, sharesUsed: [3, 1] });
+
+      const imported = await PostQuantumCrypto.importPrivateKey(recovered.privateKey, 'break glass passphrase');
+      expect(imported.privateKey).toBe(keypair.privateKey);
+    });
+  });
+
+  describe('Blind Index Function', () => {
+    const authHeaders = { authorization: 'Bearer test-api-key-12345' };
+    let originalIndexKey;
+
+    beforeAll(() => {
+      originalIndexKey = process.env.PQLS_BLIND_INDEX_KEY;
+      process.env.PQLS_BLIND_INDEX_KEY = Buffer.alloc(32, 5).toString('base64');
+    });
+
+    afterAll(() => {
+      if (originalIndexKey === undefined) {
+        delete process.env.PQLS_BLIND_INDEX_KEY;
+      } else {
+        process.env.PQLS_BLIND_INDEX_KEY = originalIndexKey;
+      }
+    });
+
+    test('should require authorization for indexes', async () => {
+      const searchResponse = await blindIndexHandler(testUtils.createMockEvent('POST', { field: 'email', value: 'a@b.c' }));
+      expect(searchResponse.statusCode).toBe(401);
+
+      // A client that may encrypt but not search gets no blind index
+      process.env.PQLS_API_CLIENTS = JSON.stringify({ intake: { secret: 'intake-secret', scopes: ['encrypt'] } });
+      try {
+        const body = JSON.stringify({ data: 'a@b.c', publicKey: 'key', algorithm: 'ML-KEM-768', blindIndex: 'email' });
+        const encryptResponse = await encryptHandler({
+          httpMethod: 'POST',
+          body: body,
+          headers: RequestAuth.signRequest({ keyId: 'intake', secret: 'intake-secret', method: 'POST', path: '/encrypt', body })
+        });
+        expect(encryptResponse.statusCode).toBe(403);
+      } finally {
+        delete process.env.PQLS_API_CLIENTS;
+      }
+    });
+
+    test('should find an encrypted value by its search term', async () => {
+      const keypairResponse = await generateKeypairHandler(testUtils.createMockEvent('GET'));
+      if (keypairResponse.statusCode !== 200) return;
+      const keypair = JSON.parse(keypairResponse.body);
+      if (keypair.fallbackUsed) return;
+
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'Jane.Doe@Example.com',
+        publicKey: keypair.publicKey,
+        algorithm: keypair.algorithm,
+        blindIndex: { field: 'site:3:email' }
+      }, authHeaders));
+      expect(encryptResponse.statusCode).toBe(200);
+      const stored = JSON.parse(encryptResponse.body);
+      expect(stored.blindIndex).toMatchObject({ field: 'site:3:email', normalization: 'casefold' });
+      expect(JSON.stringify(stored.encryptedData)).not.toContain(stored.blindIndex.index);
+
+      const searchResponse = await blindIndexHandler(testUtils.createMockEvent('POST', {
+        field: 'site:3:email',
+        values: ['jane.doe@example.com ', 'john@example.com']
+      }, authHeaders));
+      expect(searchResponse.statusCode).toBe(200);
+      const search = JSON.parse(searchResponse.body);
+      expect(search.indexes).toEqual([stored.blindIndex.index, expect.not.stringMatching(stored.blindIndex.index)]);
+      expect(search.metadata.indexKeyId).toBe(stored.blindIndex.indexKeyId);
+
+      const invalid = await blindIndexHandler(testUtils.createMockEvent('POST', { field: 'site:3:email', value: 42 }, authHeaders));
+      expect(invalid.statusCode).toBe(400);
+    });
+  });
+
+  describe('Vault Keys Function', () => {
+    const authHeaders = { authorization: 'Bearer test-api-key-12345' };
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    let directory;
+
+    beforeAll(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pqls-vault-'));
+      process.env.PQLS_VAULT_DIR = directory;
+      process.env.PQLS_VAULT_MASTER_KEY = Buffer.alloc(32, 4).toString('base64');
+    });
+
+    afterAll(() => {
+      delete process.env.PQLS_VAULT_DIR;
+      delete process.env.PQLS_VAULT_MASTER_KEY;
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should require authorization', async () => {
+      const response = await vaultKeysHandler(testUtils.createMockEvent('GET'));
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should decrypt with a vault key ID instead of a private key', async () => {
+      const generateResponse = await vaultKeysHandler(testUtils.createMockEvent('POST', { action: 'generate', label: 'site-1' }, authHeaders));
+      if (generateResponse.statusCode === 503) return;
+      expect(generateResponse.statusCode).toBe(201);
+      const { key } = JSON.parse(generateResponse.body);
+      expect(key).not.toHaveProperty('privateKey');
+
+      const encryptResponse = await encryptHandler(testUtils.createMockEvent('POST', {
+        data: 'Vaulted submission',
+        publicKey: key.publicKey,
+        algorithm: key.algorithm
+      }));
+      expect(encryptResponse.statusCode).toBe(200);
+
+      const decryptResponse = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: JSON.parse(encryptResponse.body).encryptedData,
+        keyId: key.keyId
+      }, authHeaders));
+      expect(decryptResponse.statusCode).toBe(200);
+      expect(JSON.parse(decryptResponse.body).decryptedData).toBe('Vaulted submission');
+
+      const missing = await decryptHandler(testUtils.createMockEvent('POST', {
+        encryptedData: JSON.parse(encryptResponse.body).encryptedData,
+        keyId: 'f'.repeat(32)
+      }, authHeaders));
+      expect(missing.statusCode).toBe(404);
+
+      const listResponse = await vaultKeysHandler(testUtils.createMockEvent('GET', null, authHeaders));
+      expect(JSON.parse(listResponse.body).keys.map(entry => entry.keyId)).toEqual([key.keyId]);
+    });
+
+    test('should keep vault keys to the API key that created them', async () => {
+      const generateResponse = await vaultKeysHandler(testUtils.createMockEvent('POST', { action: 'generate', label: 'site-2' }, authHeaders));
+      if (generateResponse.statusCode === 503) return;
+      const { key } = JSON.parse(generateResponse.body);
+      expect(key.owner).toBe('default');
+
+      // A signing client without the admin scope cannot use or list another key's vault keys
+      process.env.PQLS_API_CLIENTS = JSON.stringify({ site: { secret: 'site-secret', scopes: ['keys', 'decrypt'] } });
+      const signed = (method, path, body = '') => ({
+        httpMethod: method,
+        body: body,
+        headers: RequestAuth.signRequest({ keyId: 'site', secret: 'site-secret', method, path, body })
+      });
+      try {
+        const body = JSON.stringify({ encryptedData: { version: 'pq-v1' }, keyId: key.keyId });
+        const decryptResponse = await decryptHandler(signed('POST', '/decrypt', body));
+        expect(decryptResponse.statusCode).toBe(403);
+        expect(JSON.parse(decryptResponse.body).code).toBe('KEY_ACCESS_DENIED');
+
+        const describeResponse = await vaultKeysHandler({ ...signed('GET', '/vault-keys'), queryStringParameters: { keyId: key.keyId } });
+        expect(describeResponse.statusCode).toBe(403);
+
+        const ownResponse = await vaultKeysHandler(signed('POST', '/vault-keys', JSON.stringify({ action: 'generate' })));
+        expect(ownResponse.statusCode).toBe(201);
+        const ownKey = JSON.parse(ownResponse.body).key;
+        expect(ownKey.owner).toBe('site');
+
+        const listResponse = await vaultKeysHandler(signed('GET', '/vault-keys'));
+        expect(JSON.parse(listResponse.body).keys.map(entry => entry.keyId)).toEqual([ownKey.keyId]);
+      } finally {
+        delete process.env.PQLS_API_CLIENTS;
+      }
+    });
+  });
+
+  describe('Sign and Verify Functions', () => {
+    let signingKeys;
+
+    beforeAll(async () => {
+      const event = testUtils.createMockEvent('GET');
+      event.queryStringParameters = { type: 'signing' };
+
+      const response = await generateKeypairHandler(event);
+      if (response.statusCode === 200) {
+        signingKeys = JSON.parse(response.body);
+      }
+    });
+
+    test('should generate signing keypairs', () => {
+      if (!signingKeys) return;
+
+      expect(signingKeys.algorithm).toBe('ML-DSA-65');
+      expect(signingKeys).toHaveProperty('keyId');
+      expect(signingKeys.metadata).toHaveProperty('type', 'signing');
+    });
+
+    test('should require authentication for signing', async () => {
+      const event = testUtils.createMockEvent('POST', {
+        message: 'receipt',
+        privateKey: 'key',
+        algorithm: 'ML-DSA-65'
+      });
+
+      const response = await signHandler(event);
+      expect(response.statusCode).toBe(401);
+    });
+
+    test('should sign and verify round trip', async () => {
+      if (!signingKeys) return;
+
+      const signResponse = await signHandler(testUtils.createMockEvent('POST', {
+        message: 'entry 42 receipt',
+        privateKey: signingKeys.privateKey,
+        algorithm: signingKeys.algorithm
+      }, {
+        authorization: 'Bearer test-api-key-12345'
+      }));
+      expect(signResponse.statusCode).toBe(200);
+      const { signature } = JSON.parse(signResponse.body);
+
+      const verifyResponse = await verifyHandler(testUtils.createMockEvent('POST', {
+        message: 'entry 42 receipt',
+        signature: signature,
+        publicKey: signingKeys.publicKey
+      }));
+      expect(verifyResponse.statusCode).toBe(200);
+      expect(JSON.parse(verifyResponse.body)).toEqual({
+        valid: true,
+        algorithm: 'ML-DSA-65',
+        keyId: signingKeys.keyId
+      });
+
+      const tamperedResponse = await verifyHandler(testUtils.createMockEvent('POST', {
+        message: 'entry 43 receipt',
+        signature: signature,
+        publicKey: signingKeys.publicKey
+      }));
+      expect(JSON.parse(tamperedResponse.body).valid).toBe(false);
+    });
+
+    test('should reject malformed verification requests', async () => {
+      const response = await verifyHandler(testUtils.createMockEvent('POST', {
+        message: 'entry 42 receipt'
+      }));
+      expect(response.statusCode).toBe(400);
+    });
+  });
+
   describe('Error Handling', () => {
     test('should handle unexpected errors gracefully', async () => {
       // Test with malformed event
@@ -0,0 +1,106 @@
+/**
+ * Unit tests for rate limits and quotas
+ * Tests token buckets, daily quotas, 429 responses and the state stores
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const RateLimiter = require('../../netlify/functions/rate-limit');
+const { MemoryRateLimitStore, FileRateLimitStore } = RateLimiter;
+const encryptHandler = testUtils.authorized(require('../../netlify/functions/encrypt').handler);
+const { handler: decryptHandler } = require('../../netlify/functions/decrypt');
+
+describe('RateLimiter Unit Tests', () => {
+  const request = (keyId, ip, tenant) => ({ auth: { keyId, tenant }, headers: { 'x-nf-client-connection-ip': ip } });
+  const configure = (configuration) => {
+    process.env.PQLS_RATE_LIMITS = JSON.stringify(configuration);
+  };
+  const originalConfiguration = process.env.PQLS_RATE_LIMITS;
+
+  beforeEach(() => {
+    RateLimiter.setStore(new MemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    process.env.PQLS_RATE_LIMITS = originalConfiguration;
+  });
+
+  test('should refuse requests once a bucket is empty', async () => {
+    configure({ functions: { '/encrypt': { perKey: { capacity: 2, refillPerMinute: 6 }, perIp: { capacity: 3, refillPerMinute: 60 } } } });
+    const options = { endpoint: '/encrypt' };
+
+    expect(await RateLimiter.guard(request('a', '10.0.0.1'), options)).toBeNull();
+    expect(await RateLimiter.guard(request('a', '10.0.0.2'), options)).toBeNull();
+
+    const limited = await RateLimiter.guard(request('a', '10.0.0.3'), options);
+    expect(limited.statusCode).toBe(429);
+    expect(JSON.parse(limited.body).code).toBe(RateLimiter.ERROR_CODES.RATE_LIMITED);
+    expect(limited.headers).toMatchObject({ 'Retry-After': '10', 'RateLimit-Limit': '2', 'RateLimit-Remaining': '0', 'RateLimit-Policy': '2;w=20' });
+
+    // Other keys are limited by their shared IP instead
+    expect(await RateLimiter.guard(request('b', '10.0.0.1'), options)).toBeNull();
+    expect(await RateLimiter.guard(request('c', '10.0.0.1'), options)).toBeNull();
+    expect((await RateLimiter.guard(request('d', '10.0.0.1'), options)).headers['RateLimit-Limit']).toBe('3');
+
+    // The functions return the same response
+    const event = { ...testUtils.createMockEvent('POST', { data: 'x', publicKey: 'k' }), headers: { 'x-forwarded-for': '10.0.0.9' } };
+    await encryptHandler(event);
+    await encryptHandler(event);
+    expect((await encryptHandler(event)).statusCode).toBe(429);
+  });
+
+  test('should limit requests by IP before authenticating them', async () => {
+    configure({ functions: { '/decrypt': { perIp: { capacity: 3, refillPerMinute: 3 } } } });
+    const event = { ...testUtils.createMockEvent('POST', {}), headers: { 'x-nf-client-connection-ip': '10.0.0.7', authorization: 'Bearer wrong' } };
+
+    const statuses = [];
+    for (let attempt = 0; attempt < 4; attempt++) {
+      statuses.push((await decryptHandler(event)).statusCode);
+    }
+    expect(statuses).toEqual([401, 401, 401, 429]);
+  });
+
+  test('should count daily quotas per tenant', async () => {
+    configure({ functions: { '*': { perKey: null, perIp: null, dailyQuota: 2 } }, tenants: { 'wp-site': { dailyQuota: 3 } } });
+    const options = { endpoint: '/decrypt' };
+
+    // Rotated keys share their tenant's quota
+    for (const keyId of ['old-key', 'new-key', 'new-key']) {
+      expect(await RateLimiter.guard(request(keyId, '10.0.0.1', 'wp-site'), options)).toBeNull();
+    }
+    const exhausted = await RateLimiter.guard(request('new-key', '10.0.0.1', 'wp-site'), options);
+    expect(exhausted.statusCode).toBe(429);
+    expect(JSON.parse(exhausted.body).code).toBe(RateLimiter.ERROR_CODES.QUOTA_EXCEEDED);
+    expect(Number(exhausted.headers['Retry-After'])).toBeLessThanOrEqual(86400);
+
+    expect(await RateLimiter.guard(request('reporting', '10.0.0.1'), options)).toBeNull();
+    expect(await RateLimiter.guard(request('reporting', '10.0.0.1'), options)).toBeNull();
+    expect((await RateLimiter.guard(request('reporting', '10.0.0.1'), options)).statusCode).toBe(429);
+
+    configure({ enabled: false });
+    expect(await RateLimiter.guard(request('reporting', '10.0.0.1'), options)).toBeNull();
+  });
+
+  test('should limit stress tests and keep state in a file', async () => {
+    configure({});
+    const monitor = { endpoint: '/monitor', operation: 'stress-test' };
+    expect(await RateLimiter.guard(request('ops', '10.0.0.1'), monitor)).toBeNull();
+    expect((await RateLimiter.guard(request('ops', '10.0.0.1'), monitor)).headers['Retry-After']).toBe('300');
+    expect(await RateLimiter.guard(request('ops', '10.0.0.1'), { endpoint: '/monitor', operation: 'health' })).toBeNull();
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pqls-limits-'));
+    try {
+      const file = path.join(directory, 'limits.json');
+      configure({ functions: { '/sign': { perKey: { capacity: 1, refillPerMinute: 1 } } } });
+      RateLimiter.setStore(new FileRateLimitStore(file));
+      expect(await RateLimiter.guard(request('ops', '10.0.0.1'), { endpoint: '/sign' })).toBeNull();
+
+      // A new store on the same file, as after a restart, still sees the empty bucket
+      RateLimiter.setStore(new FileRateLimitStore(file));
+      expect((await RateLimiter.guard(request('ops', '10.0.0.1'), { endpoint: '/sign' })).statusCode).toBe(429);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
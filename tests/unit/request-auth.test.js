@@ -0,0 +1,80 @@
+/**
+ * Unit tests for shared request authentication
+ * Tests HMAC request signing, replay protection and scopes
+ */
+
+const RequestAuth = require('../../netlify/functions/request-auth');
+const { handler: encryptHandler } = require('../../netlify/functions/encrypt');
+const { handler: statusHandler } = require('../../netlify/functions/status');
+
+describe('RequestAuth Unit Tests', () => {
+  const client = { keyId: 'reporting', secret: 'reporting-secret-value' };
+
+  const signedEvent = (method, path, body, overrides = {}) => ({
+    httpMethod: method,
+    body: body,
+    headers: {
+      'content-type': 'application/json',
+      ...RequestAuth.signRequest({ ...client, method, path, body, ...overrides })
+    }
+  });
+
+  beforeEach(() => {
+    process.env.PQLS_API_CLIENTS = JSON.stringify({ reporting: { secret: client.secret, scopes: ['monitor'] } });
+  });
+
+  afterEach(() => {
+    delete process.env.PQLS_API_CLIENTS;
+    delete process.env.PQLS_ALLOW_BEARER;
+  });
+
+  test('should accept a signed request once', async () => {
+    const event = signedEvent('POST', '/monitor', '{"action":"health"}');
+    await expect(RequestAuth.authenticate(event, { endpoint: '/monitor', scopes: ['monitor'] }))
+      .resolves.toEqual({ keyId: 'reporting', scopes: ['monitor'], method: 'hmac' });
+
+    await expect(RequestAuth.authenticate(event, { endpoint: '/monitor', scopes: ['monitor'] }))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.REPLAYED_REQUEST });
+  });
+
+  test('should reject altered, stale and out-of-scope requests', async () => {
+    const options = { endpoint: '/monitor', scopes: ['monitor'] };
+
+    const altered = signedEvent('POST', '/monitor', '{"action":"health"}');
+    altered.body = '{"action":"stress-test"}';
+    await expect(RequestAuth.authenticate(altered, options))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.INVALID_SIGNATURE });
+
+    // A signature for one endpoint is not valid for another
+    await expect(RequestAuth.authenticate(signedEvent('POST', '/status', ''), options))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.INVALID_SIGNATURE });
+
+    const stale = signedEvent('POST', '/monitor', '', { timestamp: Math.floor(Date.now() / 1000) - 3600 });
+    await expect(RequestAuth.authenticate(stale, options))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.STALE_REQUEST });
+
+    await expect(RequestAuth.authenticate(signedEvent('POST', '/decrypt', ''), { endpoint: '/decrypt', scopes: ['decrypt'] }))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.INSUFFICIENT_SCOPE });
+
+    const unknown = signedEvent('POST', '/monitor', '', { keyId: 'someone-else' });
+    await expect(RequestAuth.authenticate(unknown, options))
+      .rejects.toMatchObject({ code: RequestAuth.ERROR_CODES.UNKNOWN_KEY });
+  });
+
+  test('should guard functions that used to be open', async () => {
+    const unauthenticated = await encryptHandler(testUtils.createMockEvent('POST', { data: 'x', publicKey: 'k', algorithm: 'ML-KEM-768' }));
+    expect(unauthenticated.statusCode).toBe(401);
+    expect(JSON.parse(unauthenticated.body).code).toBe(RequestAuth.ERROR_CODES.AUTH_REQUIRED);
+
+    const forbidden = await encryptHandler(signedEvent('POST', '/encrypt', '{"data":"x"}'));
+    expect(forbidden.statusCode).toBe(403);
+
+    const status = await statusHandler(signedEvent('GET', '/status', ''));
+    expect(status.statusCode).not.toBe(401);
+    expect(status.statusCode).not.toBe(403);
+
+    const bearer = { authorization: `Bearer ${process.env.PQLS_API_KEY}` };
+    process.env.PQLS_ALLOW_BEARER = 'false';
+    expect((await statusHandler(testUtils.createMockEvent('GET', null, bearer))).statusCode).toBe(401);
+  });
+});
@@ -179,7 +179,6 @@
             var $preview = $field.find(".pqls-encrypted-preview");
             var $decrypted = $field.find(".pqls-decrypted-content");
             var $decryptedValue = $field.find(".pqls-decrypted-value");
-            var encryptedData = $button.data("encrypted");
             
             // Show loading state
             $button.html('<span class="dashicons dashicons-update spin"></span> ' + pqls_ajax.strings.decrypting);
@@ -191,7 +190,9 @@
                 data: {
                     action: "pqls_decrypt_field",
                     nonce: pqls_ajax.nonce,
-                    encrypted_data: encryptedData
+                    form_id: $button.data("form-id"),
+                    field_id: $button.data("field-id"),
+                    entry_id: $button.data("entry-id")
                 },
                 success: function(response) {
                     if (response.success) {
@@ -228,7 +229,7 @@
             $decrypted.fadeOut(200, function() {
                 $preview.fadeIn(200);
             });
-            $button.html("<span class="dashicons dashicons-visibility"></span> Decrypt");
+            $button.html('<span class="dashicons dashicons-visibility"></span> Decrypt');
             $button.removeClass("pqls-hide-btn").addClass("pqls-decrypt-btn");
         },
         
@@ -455,8 +455,9 @@ class PostQuantumLatticeShield {
         add_action('admin_menu', array($this, 'add_admin_menu'));
         add_action('admin_init', array($this, 'admin_init'));
         
-        // Gravity Forms hooks
+        // Gravity Forms hooks; values are encrypted as they are saved, once their entry exists
         add_filter('gform_pre_submission_filter', array($this, 'pre_submission_encrypt'), 10, 1);
+        add_filter('gform_save_field_value', array($this, 'encrypt_saved_field_value'), 10, 5);
         
         // AJAX hooks
         add_action('wp_ajax_pqls_regenerate_keys', array($this, 'ajax_regenerate_keys'));
@@ -639,6 +640,7 @@ class PostQuantumLatticeShield {
             // Use retry logic for key generation
             $data = $this->error_handler->retry_microservice_request(function() use ($microservice_url) {
                 $response = wp_remote_get($microservice_url . '/generate-keypair', [
+                    'headers' => $this->auth_headers('GET', '/generate-keypair'),
                     'timeout' => 30
                 ]);
                 
@@ -1164,6 +1166,7 @@ class PostQuantumLatticeShield {
         $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
         
         $response = wp_remote_get($microservice_url . '/status', [
+            'headers' => $this->auth_headers('GET', '/status'),
             'timeout' => 10
         ]);
         
@@ -1313,46 +1316,44 @@ class PostQuantumLatticeShield {
         }
         
         $public_key = get_option('pqls_public_key');
-        $algorithm = get_option('pqls_algorithm', 'ML-KEM-768');
         
         if (empty($public_key)) {
             error_log('PQLS: Public key not set, cannot encrypt.');
             $this->add_form_error($form, __('Encryption error: System configuration issue. Please contact support.', 'pqls'));
-            return $form;
         }
         
-        // Check if post-quantum encryption is available
-        $is_post_quantum = !$this->is_rsa_algorithm($algorithm);
-        $encryption_start_time = microtime(true);
+        // The values themselves are encrypted by encrypt_saved_field_value(), which knows the entry ID
+        return $form;
+    }
+    
+    /**
+     * Encrypt a field value as Gravity Forms saves it
+     * The entry exists by then, so the value is bound to its site, form, field and entry; a
+     * value copied into another entry no longer decrypts. Multi-input fields are bound to the
+     * input the value is saved under.
+     */
+    public function encrypt_saved_field_value($value, $entry, $field, $form, $input_id = '') {
+        if (empty($value) || !is_string($value) || $this->is_encrypted_data($value)) {
+            return $value;
+        }
         
-        foreach ($_POST as $key => $value) {
-            if (strpos($key, 'input_') === 0) {
-                $field_id = str_replace('input_', '', $key);
-                if (in_array($field_id, $encrypted_fields) && !empty($value)) {
-                    $encrypted_value = $this->encrypt_field_value($value, $field_id, $form['id']);
-                    
-                    if ($encrypted_value === false) {
-                        // Prevent form submission on encryption failure
-                        error_log("PQLS: Failed to encrypt field {$field_id} in form {$form['id']}");
-                        $this->add_form_error($form, __('Unable to encrypt sensitive data. Please try again or contact support.', 'pqls'));
-                        return $form;
-                    }
-                    
-                    $_POST[$key] = $encrypted_value;
-                }
-            }
+        $field_id = is_object($field) ? $field->id : $field;
+        if (!in_array($field_id, $this->identify_encrypted_fields($form))) {
+            return $value;
         }
         
-        // Performance monitoring
-        $encryption_time = microtime(true) - $encryption_start_time;
-        if ($encryption_time > 1.0) {
-            error_log("PQLS: Form encryption took {$encryption_time}s for form {$form['id']} - consider optimization");
+        $storage_id = (string) $input_id !== '' ? (string) $input_id : (string) $field_id;
+        $encrypted_value = $this->encrypt_field_value($value, $storage_id, $form['id'], $entry['id']);
+        
+        if ($encrypted_value === false) {
+            // The entry is already stored, so the value is dropped rather than kept in plain text
+            error_log("PQLS: Failed to encrypt field {$storage_id} of entry {$entry['id']} in form {$form['id']}; the value was not stored");
+            return '';
         }
         
-        // Log successful encryption
-        $this->log_activity("Form {$form['id']} encrypted with " . ($is_post_quantum ? 'post-quantum' : 'RSA') . " encryption");
+        $this->log_activity("Field {$storage_id} of entry {$entry['id']} in form {$form['id']} encrypted with " . ($this->is_rsa_algorithm(get_option('pqls_algorithm', 'ML-KEM-768')) ? 'RSA' : 'post-quantum') . " encryption");
         
-        return $form;
+        return $encrypted_value;
     }
     
     /**
@@ -1378,7 +1379,7 @@ class PostQuantumLatticeShield {
     /**
      * Encrypt field value using the microservice encrypt endpoint with enhanced error handling
      */
-    private function encrypt_field_value($value, $field_id, $form_id) {
+    private function encrypt_field_value($value, $field_id, $form_id, $entry_id) {
         $this->init_error_handler();
         $settings = get_option($this->option_name, array());
         $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
@@ -1427,13 +1428,14 @@ class PostQuantumLatticeShield {
         
         try {
             // Use retry logic for encryption
-            $result = $this->error_handler->retry_microservice_request(function() use ($value, $public_key, $algorithm, $security_level, $microservice_url, $form_id, $field_id, $data_size) {
+            $result = $this->error_handler->retry_microservice_request(function() use ($value, $public_key, $algorithm, $security_level, $microservice_url, $form_id, $field_id, $entry_id, $data_size) {
                 
                 // Prepare request body with enhanced metadata
                 $request_body = [
                     'data' => $value,
                     'publicKey' => trim($public_key),
                     'algorithm' => $algorithm,
+                    'context' => $this->field_context($form_id, $field_id, $entry_id),
                     'metadata' => [
                         'form_id' => $form_id,
                         'field_id' => $field_id,
@@ -1455,10 +1457,10 @@ class PostQuantumLatticeShield {
                 $timeout = $this->calculate_encryption_timeout($data_size, $algorithm);
                 
                 $response = wp_remote_post($microservice_url . '/encrypt', [
-                    'headers' => [
+                    'headers' => array_merge([
                         'Content-Type' => 'application/json',
                         'User-Agent' => 'PQLS-WordPress/' . PQLS_VERSION
-                    ],
+                    ], $this->auth_headers('POST', '/encrypt', $body)),
                     'body' => $body,
                     'timeout' => $timeout,
                     'blocking' => true
@@ -1530,8 +1532,11 @@ class PostQuantumLatticeShield {
                 'algorithm' => $algorithm,
                 'data' => $result['encryptedData'],
                 'site_id' => $site_id,
+                'form_id' => (string) $form_id,
+                'field_id' => (string) $field_id,
+                'entry_id' => (string) $entry_id,
                 'encrypted_at' => current_time('c'),
-                'version' => '2.0' // Updated format version
+                'version' => '2.2' // Bound to its site, form, field and entry
             ];
             
             // Add format identifier prefix for backward compatibility and easier detection
@@ -1562,7 +1567,7 @@ class PostQuantumLatticeShield {
     /**
      * Enhanced encryption method with post-quantum support and performance optimization
      */
-    private function encrypt_data_enhanced($data, $public_key, $form_id, $field_id) {
+    private function encrypt_data_enhanced($data, $public_key, $form_id, $field_id, $entry_id) {
         $settings = get_option($this->option_name, array());
         $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
         $algorithm = get_option('pqls_algorithm', 'ML-KEM-768');
@@ -1578,6 +1583,7 @@ class PostQuantumLatticeShield {
             'data' => $data,
             'publicKey' => trim($public_key),
             'algorithm' => $algorithm,  // Required parameter for the API
+            'context' => $this->field_context($form_id, $field_id, $entry_id),
             'metadata' => [
                 'form_id' => $form_id,
                 'field_id' => $field_id,
@@ -1600,10 +1606,10 @@ class PostQuantumLatticeShield {
         $timeout = $this->calculate_encryption_timeout($data_size, $algorithm);
         
         $response = wp_remote_post($microservice_url . '/encrypt', [
-            'headers' => [
+            'headers' => array_merge([
                 'Content-Type' => 'application/json',
                 'User-Agent' => 'PQLS-WordPress/' . PQLS_VERSION
-            ],
+            ], $this->auth_headers('POST', '/encrypt', $body)),
             'body' => $body,
             'timeout' => $timeout,
             'blocking' => true
@@ -1660,8 +1666,11 @@ class PostQuantumLatticeShield {
             'algorithm' => $algorithm,
             'data' => $result['encryptedData'],
             'site_id' => $site_id,
+            'form_id' => (string) $form_id,
+            'field_id' => (string) $field_id,
+            'entry_id' => (string) $entry_id,
             'encrypted_at' => current_time('c'),
-            'version' => '2.0' // Updated format version
+            'version' => '2.2' // Bound to its site, form, field and entry
         ];
         
         // Add format identifier prefix for backward compatibility and easier detection
@@ -1671,11 +1680,69 @@ class PostQuantumLatticeShield {
         return $encrypted_data;
     }
     
+    /**
+     * Context a field value is encrypted under
+     * The microservice authenticates it into the ciphertext, so a value copied into another
+     * entry, field, form or site no longer decrypts. IDs are sent as strings so that encrypting
+     * and decrypting always send the same values. Values in the 2.1 format were bound before
+     * entry IDs were, and are opened with a null entry ID.
+     */
+    private function field_context($form_id, $field_id, $entry_id) {
+        $context = [
+            'site_id' => (string) $this->get_site_id(),
+            'form_id' => (string) $form_id,
+            'field_id' => (string) $field_id
+        ];
+        if ($entry_id !== null) {
+            $context['entry_id'] = (string) $entry_id;
+        }
+        return $context;
+    }
+
+    /**
+     * Authentication headers for the microservice
+     * Requests are signed over the method, endpoint, timestamp, nonce and body hash, so they
+     * cannot be altered or replayed. A registry key (pqls_<key ID>_<secret>) signs as its own
+     * key ID with the signing secret derived from its secret, as the service's
+     * ApiKeyRegistry.deriveSigningSecret() does; a plain PQLS_API_KEY signs as key ID "default".
+     */
+    private function auth_headers($method, $endpoint, $body = '') {
+        $api_key = get_option('pqls_api_key');
+        if (empty($api_key)) {
+            return [];
+        }
+
+        $key_id = 'default';
+        $signing_secret = $api_key;
+        if (preg_match('/^pqls_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/', $api_key, $matches)) {
+            $key_id = $matches[1];
+            $signing_secret = hash_hmac('sha256', 'PQLS-REQUEST-SIGNING', $matches[2]);
+        }
+
+        $timestamp = (string) time();
+        $nonce = bin2hex(random_bytes(16));
+        $canonical = implode("\n", [
+            'PQLS-HMAC-SHA256',
+            strtoupper($method),
+            $endpoint,
+            $timestamp,
+            $nonce,
+            hash('sha256', $body)
+        ]);
+
+        return [
+            'X-PQLS-Key-Id' => $key_id,
+            'X-PQLS-Timestamp' => $timestamp,
+            'X-PQLS-Nonce' => $nonce,
+            'X-PQLS-Signature' => hash_hmac('sha256', $canonical, $signing_secret)
+        ];
+    }
+
     /**
      * Legacy encryption method for backward compatibility
      */
-    private function encrypt_data($data, $public_key) {
-        return $this->encrypt_data_enhanced($data, $public_key, 'legacy', 'unknown');
+    private function encrypt_data($data, $public_key, $form_id = 'legacy', $field_id = 'unknown', $entry_id = '0') {
+        return $this->encrypt_data_enhanced($data, $public_key, $form_id, $field_id, $entry_id);
     }
     
     /**
@@ -1757,15 +1824,23 @@ class PostQuantumLatticeShield {
         update_option('pqls_activity_log', $log_entries);
     }
 
-    private function decrypt_data($encrypted_data) {
+    /**
+     * Decrypt a value through the microservice
+     * Values in the 2.1 and 2.2 formats are bound to where they are stored. Callers pass the
+     * form, field and entry IDs the value was read from, never the ones recorded inside it, so
+     * a value moved there from another entry or field fails.
+     */
+    private function decrypt_data($encrypted_data, $form_id, $field_id, $entry_id) {
         $this->init_error_handler();
         $api_key = get_option('pqls_api_key');
         $microservice_url = get_option('pqls_settings')['microservice_url'] ?? PQLS_MICROSERVICE_URL;
         $private_key = get_option('pqls_private_key');
+        // Keys held in the microservice's key vault are named by key ID and never sent
+        $vault_key_id = get_option('pqls_vault_key_id');
         $current_site_id = get_option('pqls_site_id');
 
         // Validate prerequisites
-        if (empty($api_key) || empty($private_key)) {
+        if (empty($api_key) || (empty($private_key) && empty($vault_key_id))) {
             return $this->error_handler->handle_crypto_error(
                 'Data Decryption',
                 'API Key or Private Key is not configured',
@@ -1785,6 +1860,7 @@ class PostQuantumLatticeShield {
             $actual_encrypted_data = $encrypted_data;
             $site_id_from_data = null;
             $data_version = '1.0'; // Default to legacy format
+            $decryption_context = null;
             
             // Check if this is the new format (version 2.0) with site isolation
             if (strpos($encrypted_data, 'pqls_pq_encrypted::') === 0 || strpos($encrypted_data, 'pqls_rsa_encrypted::') === 0) {
@@ -1795,11 +1871,24 @@ class PostQuantumLatticeShield {
                 $decoded_data = base64_decode($encoded_data);
                 if ($decoded_data !== false) {
                     $data_structure = json_decode($decoded_data, true);
-                    if (json_last_error() === JSON_ERROR_NONE && isset($data_structure['version']) && $data_structure['version'] === '2.0') {
+                    if (json_last_error() === JSON_ERROR_NONE && isset($data_structure['version']) && in_array($data_structure['version'], ['2.0', '2.1', '2.2'], true)) {
                         // New format with site isolation
                         $actual_encrypted_data = $data_structure['data'];
                         $site_id_from_data = $data_structure['site_id'];
                         $data_version = $data_structure['version'];
+
+                        // 2.1 and 2.2 values were encrypted under their field context; the site is always this one
+                        if ($data_version === '2.1' || $data_version === '2.2') {
+                            if ($form_id === null || $field_id === null || ($data_version === '2.2' && $entry_id === null)) {
+                                return $this->error_handler->handle_crypto_error(
+                                    'Data Decryption',
+                                    'The form, field and entry this value was read from are needed to decrypt it',
+                                    PQLS_ErrorHandler::ERROR_INVALID_DATA,
+                                    $context
+                                );
+                            }
+                            $decryption_context = $this->field_context($form_id, $field_id, $data_version === '2.2' ? $entry_id : null);
+                        }
                         $context['data_version'] = $data_version;
                         $context['data_site_id'] = $site_id_from_data;
                         
@@ -1820,18 +1909,24 @@ class PostQuantumLatticeShield {
             }
 
             // Use retry logic for decryption
-            $result = $this->error_handler->retry_microservice_request(function() use ($actual_encrypted_data, $private_key, $api_key, $microservice_url) {
+            $result = $this->error_handler->retry_microservice_request(function() use ($actual_encrypted_data, $private_key, $vault_key_id, $microservice_url, $decryption_context) {
                 
-                $body = json_encode([
+                $request_body = !empty($vault_key_id) ? [
+                    'encryptedData' => $actual_encrypted_data,
+                    'keyId' => $vault_key_id
+                ] : [
                     'encryptedData' => $actual_encrypted_data,
                     'privateKey' => $private_key
-                ]);
+                ];
+                if ($decryption_context !== null) {
+                    $request_body['context'] = $decryption_context;
+                }
+                $body = json_encode($request_body);
 
                 $response = wp_remote_post($microservice_url . '/decrypt', [
-                    'headers' => [
-                        'Content-Type' => 'application/json',
-                        'Authorization' => 'Bearer ' . $api_key
-                    ],
+                    'headers' => array_merge([
+                        'Content-Type' => 'application/json'
+                    ], $this->auth_headers('POST', '/decrypt', $body)),
                     'body' => $body,
                     'timeout' => 30
                 ]);
@@ -1897,6 +1992,8 @@ class PostQuantumLatticeShield {
     
     /**
      * AJAX handler for decrypting a field
+     * The value is read from the stored entry named by the request, not taken from the request,
+     * so it is always decrypted under the form, field and entry it is stored in.
      */
     public function ajax_decrypt_field() {
         check_ajax_referer('pqls_nonce', 'nonce');
@@ -1905,15 +2002,25 @@ class PostQuantumLatticeShield {
             wp_send_json_error(__('Permission denied', 'pqls'));
         }
         
-        $encrypted_data = sanitize_text_field($_POST['data']);
+        $form_id = absint($_POST['form_id'] ?? 0);
+        $entry_id = absint($_POST['entry_id'] ?? 0);
+        $field_id = sanitize_text_field($_POST['field_id'] ?? '');
+        
+        $entry = ($form_id && $entry_id && $field_id !== '') ? GFAPI::get_entry($entry_id) : null;
+        if (empty($entry) || is_wp_error($entry) || (int) $entry['form_id'] !== $form_id) {
+            wp_send_json_error(__('Entry not found', 'pqls'));
+        }
+        
+        $encrypted_data = rgar($entry, $field_id);
+        if (!$this->is_encrypted_data($encrypted_data)) {
+            wp_send_json_error(__('This field is not encrypted', 'pqls'));
+        }
         
-        // The decrypt_data method now handles both old and new formats with site isolation
-        // No need to remove prefixes here as decrypt_data handles format detection
-        $decryption_result = $this->decrypt_data($encrypted_data);
+        $decryption_result = $this->decrypt_data($encrypted_data, $form_id, $field_id, $entry_id);
         
         if ($decryption_result['success']) {
             // Log the decryption event for audit purposes
-            error_log(sprintf('PQLS Audit: User %d decrypted field data.', get_current_user_id()));
+            error_log(sprintf('PQLS Audit: User %d decrypted field %s of entry %d in form %d.', get_current_user_id(), $field_id, $entry_id, $form_id));
             wp_send_json_success($decryption_result['data']);
         } else {
             error_log(sprintf('PQLS: Decryption failed for user %d: %s', get_current_user_id(), $decryption_result['message']));
@@ -1984,7 +2091,7 @@ class PostQuantumLatticeShield {
                 $field_id_key = $form['id'] . '_' . $field->id;
 
                 if ($export_type === 'decrypt' && in_array($field_id_key, $encrypted_fields_config) && !empty($value)) {
-                    $decryption_result = $this->decrypt_data($value);
+                    $decryption_result = $this->decrypt_data($value, $form['id'], $field->id, $entry['id']);
                     if ($decryption_result['success']) {
                         $value = $decryption_result['data'];
                     } else {
@@ -2021,7 +2128,9 @@ class PostQuantumLatticeShield {
         $settings = get_option($this->option_name, array());
         $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
         
-        $response = wp_remote_get($microservice_url . '/status');
+        $response = wp_remote_get($microservice_url . '/status', [
+            'headers' => $this->auth_headers('GET', '/status')
+        ]);
         
         if (is_wp_error($response)) {
             wp_send_json_error('Connection failed: ' . $response->get_error_message());
@@ -2056,14 +2165,14 @@ class PostQuantumLatticeShield {
             wp_send_json_error('Public key not found. Please generate keys first.');
         }
     
-        // Encrypt using the current algorithm
-        $encrypted = $this->encrypt_data($test_string, $public_key);
+        // Encrypt using the current algorithm, bound to a test location that no entry uses
+        $encrypted = $this->encrypt_data($test_string, $public_key, 'test', 'test', '0');
         if ($encrypted === false || $encrypted === $test_string) {
             wp_send_json_error('Encryption failed. The data was not encrypted properly.');
         }
     
         // Decrypt and get detailed result
-        $decrypt_result = $this->decrypt_data($encrypted);
+        $decrypt_result = $this->decrypt_data($encrypted, 'test', 'test', '0');
         
         if (is_array($decrypt_result) && isset($decrypt_result['success'])) {
             if ($decrypt_result['success'] && isset($decrypt_result['data'])) {
@@ -2129,13 +2238,23 @@ class PostQuantumLatticeShield {
      * Format encrypted entry display
      */
     public function format_encrypted_entry_display($value, $field, $entry, $form) {
-        $field_id = is_object($field) ? $field->id : $field;
+        // gform_entry_field_value passes (value, field, entry, form);
+        // gform_entries_field_value passes (value, form ID, field ID, entry)
+        if (is_object($field)) {
+            $form_id = is_array($form) ? $form['id'] : $form;
+            $field_id = $field->id;
+            $entry_id = $entry['id'] ?? '';
+        } else {
+            $form_id = $field;
+            $field_id = $entry;
+            $entry_id = is_array($form) ? ($form['id'] ?? '') : '';
+        }
         
         if ($value !== null && $this->is_encrypted_data($value)) {
             if (current_user_can('decrypt_pqls_data')) {
                 $html = '<div class="pqls-encrypted-data-container">';
                 $html .= '<span class="pqls-encrypted-badge">🔒</span>';
-                $html .= '<div class="pqls-encrypted-data" data-encrypted="' . esc_attr($value) . '">';
+                $html .= '<div class="pqls-encrypted-data" data-form-id="' . esc_attr($form_id) . '" data-field-id="' . esc_attr($field_id) . '" data-entry-id="' . esc_attr($entry_id) . '">';
                 $html .= '<span class="pqls-redacted-view">[Encrypted]</span>';
                 $html .= '<span class="pqls-decrypted-view" style="display:none;"></span>';
                 $html .= '</div>';
@@ -2276,7 +2395,6 @@ class PostQuantumLatticeShield {
                 var button = jQuery(this);
                 var container = button.closest('.pqls-encrypted-data-container');
                 var data_div = container.find('.pqls-encrypted-data');
-                var encrypted_data = data_div.data('encrypted');
                 var decrypted_view = container.find('.pqls-decrypted-view');
                 var redacted_view = container.find('.pqls-redacted-view');
                 var security_warning = container.find('.pqls-security-warning');
@@ -2289,7 +2407,9 @@ class PostQuantumLatticeShield {
                 jQuery.post(pqls_ajax.ajax_url, {
                     action: 'pqls_decrypt_field',
                     nonce: pqls_ajax.nonce,
-                    data: encrypted_data
+                    form_id: data_div.data('form-id'),
+                    field_id: data_div.data('field-id'),
+                    entry_id: data_div.data('entry-id')
                 }, function(response) {
                     if (response.success) {
                         // Display decrypted data inline
@@ -2587,6 +2707,7 @@ class PostQuantumLatticeShield {
         $security_level = $algorithm === 'ML-KEM-1024' ? 'high' : 'standard';
         
         $response = wp_remote_get($microservice_url . '/generate-keypair?securityLevel=' . $security_level, [
+            'headers' => $this->auth_headers('GET', '/generate-keypair'),
             'timeout' => 30
         ]);
         
@@ -2676,13 +2797,14 @@ class PostQuantumLatticeShield {
         $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
         
         // Test encryption
+        $encrypt_body = json_encode([
+            'data' => $test_data,
+            'publicKey' => trim($public_key),
+            'algorithm' => $algorithm
+        ]);
         $encrypt_response = wp_remote_post($microservice_url . '/encrypt', [
-            'headers' => ['Content-Type' => 'application/json'],
-            'body' => json_encode([
-                'data' => $test_data,
-                'publicKey' => trim($public_key),
-                'algorithm' => $algorithm
-            ]),
+            'headers' => array_merge(['Content-Type' => 'application/json'], $this->auth_headers('POST', '/encrypt', $encrypt_body)),
+            'body' => $encrypt_body,
             'timeout' => 30
         ]);
         
@@ -2708,15 +2830,13 @@ class PostQuantumLatticeShield {
             wp_send_json_error('API key not configured for decryption test');
         }
         
+        $decrypt_body = json_encode([
+            'encryptedData' => $encrypt_result['encryptedData'],
+            'privateKey' => $private_key
+        ]);
         $decrypt_response = wp_remote_post($microservice_url . '/decrypt', [
-            'headers' => [
-                'Content-Type' => 'application/json',
-                'Authorization' => 'Bearer ' . $api_key
-            ],
-            'body' => json_encode([
-                'encryptedData' => $encrypt_result['encryptedData'],
-                'privateKey' => $private_key
-            ]),
+            'headers' => array_merge(['Content-Type' => 'application/json'], $this->auth_headers('POST', '/decrypt', $decrypt_body)),
+            'body' => $decrypt_body,
             'timeout' => 30
         ]);
         
@@ -3127,6 +3247,7 @@ class PostQuantumLatticeShield {
         $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
         
         $response = wp_remote_get($microservice_url . '/generate-keypair?securityLevel=' . urlencode($security_level), [
+            'headers' => $this->auth_headers('GET', '/generate-keypair'),
             'timeout' => 30
         ]);
         
@@ -3189,14 +3310,14 @@ class PostQuantumLatticeShield {
                     }
                     
                     // Update entry in database
-                    $update_result = $this->update_entry_encryption($entry['id'], $encrypted_data);
+                    $update_result = $this->update_entry_encryption($entry, $encrypted_data);
                     
                     if ($update_result) {
                         $migrated_count++;
                         
                         // Verify integrity if requested
                         if ($verify_integrity) {
-                            $verification_result = $this->verify_entry_integrity($entry['id'], $decrypted_data, $new_keys);
+                            $verification_result = $this->verify_entry_integrity($entry, $decrypted_data, $new_keys);
                             if (!$verification_result) {
                                 $this->log_audit_event('integrity_verification_failed', [
                                     'entry_id' => $entry['id']
@@ -3408,7 +3529,7 @@ class PostQuantumLatticeShield {
         $table_name = $wpdb->prefix . 'gf_entry_meta';
         
         $query = $wpdb->prepare("
-            SELECT DISTINCT entry_id, meta_value 
+            SELECT DISTINCT entry_id, form_id, meta_key, meta_value 
             FROM {$table_name} 
             WHERE meta_value LIKE %s 
             OR meta_value LIKE %s
@@ -3422,6 +3543,8 @@ class PostQuantumLatticeShield {
         return array_map(function($row) {
             return [
                 'id' => $row['entry_id'],
+                'form_id' => $row['form_id'],
+                'field_id' => $row['meta_key'],
                 'encrypted_data' => $row['meta_value']
             ];
         }, $results);
@@ -3454,9 +3577,8 @@ class PostQuantumLatticeShield {
         try {
             $encrypted_data = $entry['encrypted_data'];
             
-            // The decrypt_data method now handles both old and new formats with site isolation
-            // No need to remove prefixes here as decrypt_data handles format detection
-            $decrypted = $this->decrypt_data($encrypted_data);
+            // decrypt_data handles every format; bound values are opened where they are stored
+            $decrypted = $this->decrypt_data($encrypted_data, $entry['form_id'], $entry['field_id'], $entry['id']);
             
             return $decrypted;
             
@@ -3474,16 +3596,17 @@ class PostQuantumLatticeShield {
             $settings = get_option($this->option_name, array());
             $microservice_url = $settings['microservice_url'] ?? PQLS_MICROSERVICE_URL;
             
+            $request_body = json_encode([
+                'data' => $data,
+                'publicKey' => $new_keys['publicKey'],
+                'algorithm' => $new_keys['algorithm']
+            ]);
             $response = wp_remote_post($microservice_url . '/encrypt', [
                 'timeout' => 30,
-                'body' => json_encode([
-                    'data' => $data,
-                    'publicKey' => $new_keys['publicKey'],
-                    'algorithm' => $new_keys['algorithm']
-                ]),
-                'headers' => [
+                'body' => $request_body,
+                'headers' => array_merge([
                     'Content-Type' => 'application/json'
-                ]
+                ], $this->auth_headers('POST', '/encrypt', $request_body))
             ]);
             
             if (is_wp_error($response)) {
@@ -3514,7 +3637,7 @@ class PostQuantumLatticeShield {
     /**
      * Update entry encryption in database
      */
-    private function update_entry_encryption($entry_id, $encrypted_data) {
+    private function update_entry_encryption($entry, $encrypted_data) {
         global $wpdb;
         
         $table_name = $wpdb->prefix . 'gf_entry_meta';
@@ -3522,9 +3645,9 @@ class PostQuantumLatticeShield {
         $result = $wpdb->update(
             $table_name,
             ['meta_value' => 'pqls_encrypted::' . json_encode($encrypted_data)],
-            ['entry_id' => $entry_id],
+            ['entry_id' => $entry['id'], 'meta_key' => $entry['field_id']],
             ['%s'],
-            ['%d']
+            ['%d', '%s']
         );
         
         return $result !== false;
@@ -3533,7 +3656,7 @@ class PostQuantumLatticeShield {
     /**
      * Verify entry integrity after migration
      */
-    private function verify_entry_integrity($entry_id, $original_data, $new_keys) {
+    private function verify_entry_integrity($entry, $original_data, $new_keys) {
         try {
             // Get the newly encrypted data
             global $wpdb;
@@ -3543,21 +3666,22 @@ class PostQuantumLatticeShield {
                 SELECT meta_value 
                 FROM {$table_name} 
                 WHERE entry_id = %d 
+                AND meta_key = %s
                 AND meta_value LIKE %s
                 LIMIT 1
-            ", $entry_id, 'pqls_encrypted::%'));
+            ", $entry['id'], $entry['field_id'], 'pqls_encrypted::%'));
             
             if (!$encrypted_data) {
                 return false;
             }
             
             // Decrypt and compare
-            $decrypted_data = $this->decrypt_data(substr($encrypted_data, 16));
+            $decrypted_data = $this->decrypt_data(substr($encrypted_data, 16), $entry['form_id'], $entry['field_id'], $entry['id']);
             
             return $decrypted_data === $original_data;
             
         } catch (Exception $e) {
-            error_log('PQLS: Integrity verification failed for entry ' . $entry_id . ': ' . $e->getMessage());
+            error_log('PQLS: Integrity verification failed for entry ' . $entry['id'] . ': ' . $e->getMessage());
             return false;
         }
     }
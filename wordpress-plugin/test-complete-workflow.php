@@ -231,9 +231,9 @@ class PQLS_Complete_Workflow_Test {
                 ]
             ];
             
-            // Test the pre_submission_encrypt method
+            // Values are encrypted as Gravity Forms saves them, once their entry exists
             $plugin = new PostQuantumLatticeShield();
-            $processed_form = $plugin->pre_submission_encrypt($test_form);
+            $this->save_test_entry($plugin, $test_form);
             
             // Verify encrypted fields were processed
             $encrypted_count = 0;
@@ -406,6 +406,19 @@ class PQLS_Complete_Workflow_Test {
         }
     }
     
+    /**
+     * Run the save-time encryption filter over the submitted test values, as Gravity Forms does
+     */
+    private function save_test_entry($plugin, $form) {
+        $entry = ['id' => '123', 'form_id' => $form['id']];
+        foreach ($form['fields'] as $field) {
+            $key = 'input_' . $field->id;
+            if (isset($_POST[$key])) {
+                $_POST[$key] = $plugin->encrypt_saved_field_value($_POST[$key], $entry, $field, $form, $field->id);
+            }
+        }
+    }
+    
     /**
      * Test AJAX decrypt endpoint
      */
@@ -414,6 +427,7 @@ class PQLS_Complete_Workflow_Test {
             // Simulate AJAX request data
             $_POST['action'] = 'pqls_decrypt_field';
             $_POST['encrypted_data'] = $encrypted_value;
+            $_POST['form_id'] = (string) $this->test_form_id;
             $_POST['field_id'] = '1';
             $_POST['entry_id'] = '123';
             $_POST['nonce'] = wp_create_nonce('pqls_nonce');
@@ -781,7 +795,7 @@ class PQLS_Complete_Workflow_Test {
             $original_post = $_POST;
             $_POST = array_merge($_POST, $test_data);
             
-            $processed_form = $plugin->pre_submission_encrypt($test_form);
+            $this->save_test_entry($plugin, $test_form);
             
             $encrypted_count = 0;
             foreach ($test_data as $key => $value) {